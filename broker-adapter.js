@@ -0,0 +1,36 @@
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+/**
+ * Socket.IO adapter that relays broadcasts, room changes and server-side requests
+ * between instances through the broker, so io.to(room) reaches sockets connected
+ * to any instance.
+ */
+export const createBrokerAdapter = (broker, options = {}) =>
+  class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, options);
+      this.topic = `quiz-credo:socket.io#${nsp.name}`;
+
+      broker.subscribe(this.topic, ({ message, requesterUid, response }) => {
+        if (requesterUid) {
+          if (requesterUid === this.uid) {
+            this.onResponse(response);
+          }
+          return;
+        }
+        this.onMessage(message);
+      });
+
+      this.init();
+    }
+
+    doPublish(message) {
+      broker.publish(this.topic, { message });
+      return Promise.resolve("");
+    }
+
+    doPublishResponse(requesterUid, response) {
+      broker.publish(this.topic, { requesterUid, response });
+      return Promise.resolve();
+    }
+  };
@@ -0,0 +1,170 @@
+import net from "net";
+import { pathToFileURL } from "url";
+
+/**
+ * Minimal publish/subscribe broker used to run several server instances locally.
+ * It stands in for a real message broker (e.g. Redis): clients talk newline-delimited
+ * JSON over TCP, and messages published with a `retainKey` are kept so that instances
+ * that subscribe later receive the current value (like a shared key/value store).
+ * The `fields` of a message are merged into those of the retained one, so publishers
+ * can send only what changed.
+ */
+export const startBroker = (port, host = "127.0.0.1") => {
+  const subscribers = new Map(); // topic -> Set<net.Socket>
+  const retained = new Map(); // topic -> Map<retainKey, message>
+
+  const send = (connection, payload) => {
+    if (!connection.destroyed) {
+      connection.write(`${JSON.stringify(payload)}\n`);
+    }
+  };
+
+  const handle = (connection, { op, topic, message, retainKey }) => {
+    if (op === "subscribe") {
+      if (!subscribers.has(topic)) {
+        subscribers.set(topic, new Set());
+      }
+      subscribers.get(topic).add(connection);
+      retained.get(topic)?.forEach((value) => send(connection, { topic, message: value }));
+      return;
+    }
+
+    if (op === "publish") {
+      if (retainKey) {
+        if (!retained.has(topic)) {
+          retained.set(topic, new Map());
+        }
+        if (message?.deleted) {
+          retained.get(topic).delete(retainKey);
+        } else {
+          const previous = retained.get(topic).get(retainKey);
+          retained
+            .get(topic)
+            .set(
+              retainKey,
+              previous?.fields && message?.fields
+                ? { ...message, fields: { ...previous.fields, ...message.fields } }
+                : message
+            );
+        }
+      }
+
+      subscribers.get(topic)?.forEach((subscriber) => {
+        if (subscriber !== connection) {
+          send(subscriber, { topic, message });
+        }
+      });
+    }
+  };
+
+  const server = net.createServer((connection) => {
+    let buffer = "";
+
+    connection.setEncoding("utf8");
+    connection.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        try {
+          handle(connection, JSON.parse(line));
+        } catch (error) {
+          console.warn(`[broker] Ignoring invalid message: ${error.message}`);
+        }
+      }
+    });
+
+    connection.on("close", () => {
+      subscribers.forEach((connections) => connections.delete(connection));
+    });
+    connection.on("error", () => {});
+  });
+
+  server.listen(port, host, () => {
+    console.log(`[${new Date().toISOString()}] Broker listening on ${host}:${port}`);
+  });
+
+  return server;
+};
+
+/**
+ * Connects to a broker started with startBroker. Messages published while the
+ * connection is down are queued and sent once it is back; subscriptions are renewed.
+ */
+export const connectBroker = (url) => {
+  const { hostname, port } = new URL(url);
+  const handlers = new Map(); // topic -> Set<handler>
+  let queue = [];
+  let connection = null;
+  let isConnected = false;
+
+  const write = (payload) => {
+    if (isConnected) {
+      connection.write(`${JSON.stringify(payload)}\n`);
+    } else {
+      queue.push(payload);
+    }
+  };
+
+  const connect = () => {
+    let buffer = "";
+    connection = net.connect(Number(port), hostname);
+    connection.setEncoding("utf8");
+
+    connection.on("connect", () => {
+      isConnected = true;
+      handlers.forEach((_, topic) => connection.write(`${JSON.stringify({ op: "subscribe", topic })}\n`));
+      queue.forEach((payload) => connection.write(`${JSON.stringify(payload)}\n`));
+      queue = [];
+    });
+
+    connection.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        let parsed;
+        try {
+          parsed = JSON.parse(line);
+        } catch (error) {
+          console.warn(
+            `[${new Date().toISOString()}] Ignoring invalid message from broker: ${error.message}`
+          );
+          continue;
+        }
+        handlers.get(parsed.topic)?.forEach((handler) => handler(parsed.message));
+      }
+    });
+
+    connection.on("close", () => {
+      if (isConnected) {
+        console.warn(`[${new Date().toISOString()}] Lost connection to broker ${url}, retrying`);
+      }
+      isConnected = false;
+      setTimeout(connect, 1000);
+    });
+    connection.on("error", () => {});
+  };
+
+  connect();
+
+  return {
+    publish: (topic, message, retainKey) => write({ op: "publish", topic, message, retainKey }),
+    subscribe: (topic, handler) => {
+      if (!handlers.has(topic)) {
+        handlers.set(topic, new Set());
+        // Once connected, the "connect" listener subscribes to every known topic
+        if (isConnected) {
+          write({ op: "subscribe", topic });
+        }
+      }
+      handlers.get(topic).add(handler);
+    },
+  };
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startBroker(Number(process.env.BROKER_PORT) || 4000, process.env.BROKER_HOST || "127.0.0.1");
+}
@@ -0,0 +1,42 @@
+import crypto from "crypto";
+
+// Sem 0/O, 1/I/L e outros caracteres fáceis de confundir ao ditar o código
+const JOIN_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+/**
+ * Generates a random join code that `isTaken` reports as free. Each failed attempt
+ * makes the code one character longer, so a crowded code space cannot loop forever.
+ */
+export const generateJoinCode = (isTaken, length = 6) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = Array.from(
+      { length: length + attempt },
+      () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+    ).join("");
+    if (!isTaken(code)) {
+      return code;
+    }
+  }
+  throw new Error("Could not generate a free join code");
+};
+
+/**
+ * Join codes are typed by people: ignore case, spaces and dashes
+ */
+export const normalizeJoinCode = (code) => code.toUpperCase().replace(/[\s-]/g, "");
+
+/**
+ * Salted SHA-256 of a lobby password, stored as `salt:hash` so that snapshots
+ * (disk, broker) never contain the password itself
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("base64url");
+  const hash = crypto.createHash("sha256").update(`${salt}:${password}`).digest("base64url");
+  return `${salt}:${hash}`;
+};
+
+export const verifyPassword = (password, passwordHash) => {
+  const [salt, expected] = passwordHash.split(":");
+  const received = crypto.createHash("sha256").update(`${salt}:${password}`).digest("base64url");
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
@@ -0,0 +1,199 @@
+import { spawn } from "child_process";
+import { io } from "socket.io-client";
+
+/**
+ * Runs a broker and two server instances, plays one question with a guest on each
+ * instance and checks that both answers reach the instance of the admin, and that the versions of
+ * each instance reach the guests without gaps or repeats. Then reconnects a guest and checks
+ * that it keeps its team. Exits with 1 on failure.
+ *
+ *   npm run check:replication
+ */
+const BROKER_PORT = Number(process.env.CHECK_BROKER_PORT) || 4600;
+const PORTS = [4601, 4602];
+const TIMEOUT_MS = 5000;
+
+const SETTINGS = {
+  questionCount: 10,
+  timerDuration: 60,
+  maxCategorySelections: 3,
+  topCategoriesCount: 5,
+  lowTimeThreshold: 5,
+  criticalTimeThreshold: 3,
+};
+const QUESTIONS = [
+  {
+    id: "check-0",
+    question: "Question 1",
+    options: ["a", "b", "c", "d"],
+    correctAnswer: 1,
+    points: 100,
+  },
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const startProcess = (script, env) =>
+  spawn(process.execPath, [script], {
+    cwd: new URL(".", import.meta.url).pathname,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", process.env.CHECK_VERBOSE ? "inherit" : "ignore", "inherit"],
+  });
+
+const waitFor = (socket, event, predicate = () => true) =>
+  new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`timed out waiting for ${event}`));
+    }, TIMEOUT_MS);
+    const handler = (data) => {
+      if (predicate(data)) {
+        clearTimeout(timeout);
+        socket.off(event, handler);
+        resolve(data);
+      }
+    };
+    socket.on(event, handler);
+  });
+
+const request = (socket, event, ...args) =>
+  new Promise((resolve) => socket.emit(event, ...args, resolve));
+
+const connect = async (port, auth) => {
+  const socket = io(`http://localhost:${port}`, {
+    transports: ["websocket"],
+    forceNew: true,
+    auth,
+  });
+  const credentials = waitFor(socket, "device-credentials");
+  await waitFor(socket, "connect");
+  socket.credentials = await credentials;
+  return socket;
+};
+
+const STATE_EVENTS = ["channel-update", "timer-tick", "answer-count", "device-changed"];
+
+/**
+ * Records the origin and version of every state message a socket receives
+ */
+const recordVersions = (socket) => {
+  const received = [];
+  STATE_EVENTS.forEach((event) =>
+    socket.on(event, ({ origin, version }) => received.push({ event, origin, version }))
+  );
+  return received;
+};
+
+/**
+ * Versions of the same origin must go up by one per message; timer-tick keeps the current one
+ */
+const checkVersions = (received, label) => {
+  const last = new Map(); // origin -> version
+  received.forEach(({ event, origin, version }) => {
+    const expected = event === "timer-tick" ? last.get(origin) : last.get(origin) + 1;
+    if (last.has(origin) && version !== expected) {
+      throw new Error(`${label} got ${event} ${origin}@${version} after ${origin}@${last.get(origin)}`);
+    }
+    last.set(origin, version);
+  });
+};
+
+const check = async () => {
+  const admin = await connect(PORTS[0]);
+  const { channelId } = await request(admin, "create-channel", null, null, { displayName: "Host" });
+  await sleep(300);
+
+  // Um guest em cada instância
+  const guests = [];
+  for (const [index, port] of PORTS.entries()) {
+    const guest = await connect(port);
+    const joined = waitFor(guest, "joined-channel");
+    guest.emit("join-channel", channelId, null, { displayName: `Guest ${index}` });
+    await joined;
+    guest.emit("update-ready-state", { channelId, isReady: true });
+    guests.push(guest);
+  }
+  await sleep(300);
+  const versions = guests.map(recordVersions);
+
+  const started = waitFor(guests[1], "game-started");
+  admin.emit("start-game", { channelId, settings: SETTINGS });
+  await started;
+  const loaded = waitFor(guests[1], "channel-update", (state) => state.gameState?.questions?.length > 0);
+  admin.emit("load-questions", { channelId, questions: QUESTIONS });
+  await loaded;
+
+  // Respostas simultâneas nas duas instâncias, enquanto o timer da outra publica ticks
+  guests.forEach((guest) => guest.emit("submit-answer", { channelId, questionIndex: 0, answerIndex: 1 }));
+  await sleep(1500);
+
+  // O ranking é calculado na instância do admin: precisa ter a resposta de cada guest
+  const finished = waitFor(guests[1], "game-finished");
+  admin.emit("next-question", { channelId });
+  const { ranking } = await finished;
+  if (ranking.length !== guests.length) {
+    throw new Error(`the admin's instance ranked ${ranking.length} of ${guests.length} answers`);
+  }
+
+  versions.forEach((received, index) => checkVersions(received, `guest ${index + 1}`));
+
+  [admin, ...guests].forEach((socket) => socket.disconnect());
+};
+
+/**
+ * A guest that reconnects with its token must come back in the same team
+ */
+const checkReconnect = async () => {
+  const admin = await connect(PORTS[0]);
+  const { channelId } = await request(admin, "create-channel", null, null, { displayName: "Host" });
+  await sleep(300);
+
+  const guest = await connect(PORTS[1]);
+  const joined = waitFor(guest, "joined-channel");
+  await request(guest, "join-channel", channelId, null, { displayName: "Guest" });
+  await joined;
+  const { deviceId, deviceToken } = guest.credentials;
+
+  await request(admin, "set-teams", { channelId, teams: ["Red", "Blue"] });
+  await request(admin, "assign-team", { channelId, targetDeviceId: deviceId, teamId: "team-2" });
+  await sleep(300);
+  guest.disconnect();
+  await sleep(300);
+
+  const resumed = await connect(PORTS[1], { deviceId, deviceToken });
+  const update = waitFor(resumed, "channel-update", (state) => Array.isArray(state.teams));
+  await request(resumed, "resume-session", { channelId });
+  const { teams } = await update;
+  const team = teams.find((entry) => entry.memberIds.includes(deviceId));
+  if (team?.id !== "team-2") {
+    throw new Error(`reconnected guest is in ${team?.id || "no team"} instead of team-2`);
+  }
+
+  [admin, resumed].forEach((socket) => socket.disconnect());
+};
+
+const broker = startProcess("broker.js", { BROKER_PORT: String(BROKER_PORT) });
+await sleep(500);
+const servers = PORTS.map((port) =>
+  startProcess("server.js", {
+    PORT: String(port),
+    STATE_BROKER_URL: `tcp://127.0.0.1:${BROKER_PORT}`,
+    DEVICE_TOKEN_SECRET: "check-replication",
+    PERSISTENCE_DRIVER: "none",
+  })
+);
+await sleep(1500);
+
+let failed = false;
+try {
+  await check();
+  await checkReconnect();
+  console.log(
+    "Replication check passed: the admin's instance saw every answer and version, and a reconnected guest kept its team"
+  );
+} catch (error) {
+  failed = true;
+  console.error(`Replication check failed: ${error.message}`);
+}
+[...servers, broker].forEach((child) => child.kill());
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,23 @@
+import crypto from "crypto";
+
+/**
+ * Issues and checks device credentials: an HMAC of the deviceId signed with the server
+ * secret. Verification is stateless, so every instance sharing the secret accepts them.
+ */
+export const createDeviceAuth = (secret) => {
+  const sign = (deviceId) =>
+    crypto.createHmac("sha256", secret).update(String(deviceId)).digest("base64url");
+
+  return {
+    issueToken: (deviceId) => sign(deviceId),
+
+    verifyToken: (deviceId, token) => {
+      if (typeof deviceId !== "string" || typeof token !== "string") {
+        return false;
+      }
+      const expected = Buffer.from(sign(deviceId));
+      const received = Buffer.from(token);
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    },
+  };
+};
@@ -0,0 +1,210 @@
+import { validateQuestionType } from "./question-types.js";
+import { LEADERBOARD_SCOPES } from "./profiles.js";
+import { LIFELINES } from "./lifelines.js";
+
+/**
+ * Payload schemas of every socket event. A schema is a function that receives a value
+ * and returns an error message, or null when the value is valid.
+ */
+
+const string = ({ maxLength = 200 } = {}) => (value) =>
+  typeof value === "string" && value.length > 0 && value.length <= maxLength
+    ? null
+    : `expected a non-empty string of at most ${maxLength} characters`;
+
+const number = () => (value) =>
+  typeof value === "number" && Number.isFinite(value) ? null : "expected a number";
+
+const integer = ({ min = 0 } = {}) => (value) =>
+  Number.isInteger(value) && value >= min ? null : `expected an integer >= ${min}`;
+
+const boolean = () => (value) => (typeof value === "boolean" ? null : "expected a boolean");
+
+const any = () => () => null;
+
+const oneOf = (values) => (value) =>
+  values.includes(value) ? null : `expected one of ${values.join(", ")}`;
+
+const optional = (schema) => (value) => (value === undefined ? null : schema(value));
+
+const nullable = (schema) => (value) => (value === null ? null : schema(value));
+
+const array = (itemSchema, { minLength = 0, maxLength = 500 } = {}) => (value) => {
+  if (!Array.isArray(value)) return "expected an array";
+  if (value.length < minLength || value.length > maxLength) {
+    return `expected between ${minLength} and ${maxLength} items`;
+  }
+  for (let index = 0; index < value.length; index++) {
+    const error = itemSchema(value[index]);
+    if (error) return `[${index}]: ${error}`;
+  }
+  return null;
+};
+
+const object = (shape = {}) => (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return "expected an object";
+  for (const [key, schema] of Object.entries(shape)) {
+    const error = schema(value[key]);
+    if (error) return `${key}: ${error}`;
+  }
+  return null;
+};
+
+/**
+ * Positional arguments of an event (without the acknowledgement callback)
+ */
+const args = (...schemas) => (values) => {
+  for (let index = 0; index < schemas.length; index++) {
+    const error = schemas[index](values[index]);
+    if (error) return `argument ${index + 1}: ${error}`;
+  }
+  return null;
+};
+
+const question = () => (value) => {
+  const error = object({
+    question: string({ maxLength: 1000 }),
+    type: optional(string({ maxLength: 30 })),
+    options: optional(array(string({ maxLength: 500 }), { maxLength: 10 })),
+    points: optional(number()),
+  })(value);
+  if (error) return error;
+
+  // Campos específicos de cada tipo (correctAnswer, tolerance...)
+  return validateQuestionType(value);
+};
+
+/**
+ * Either a list of questions or an object of lists by locale that includes "pt-BR".
+ * Every locale must have the same number of questions.
+ */
+const questionSet = () => (value) => {
+  const questionList = array(question(), { minLength: 1 });
+
+  if (Array.isArray(value)) {
+    return questionList(value);
+  }
+
+  if (!value || typeof value !== "object") {
+    return "expected an array of questions or an object of question arrays by locale";
+  }
+  if (!Array.isArray(value["pt-BR"])) {
+    return 'expected a "pt-BR" array of questions';
+  }
+
+  for (const [locale, questions] of Object.entries(value)) {
+    const error = questionList(questions);
+    if (error) return `${locale}: ${error}`;
+    if (questions.length !== value["pt-BR"].length) {
+      return `${locale}: expected ${value["pt-BR"].length} questions like "pt-BR"`;
+    }
+  }
+  return null;
+};
+
+const channelOnly = () => args(object({ channelId: string() }));
+
+const joinOptions = () =>
+  optional(
+    nullable(
+      object({
+        displayName: optional(string({ maxLength: 100 })),
+        password: optional(nullable(string({ maxLength: 50 }))),
+        role: optional(oneOf(["guest", "spectator", "presenter"])),
+      })
+    )
+  );
+
+export const EVENT_SCHEMAS = {
+  "create-channel": args(
+    optional(nullable(string())),
+    optional(nullable(string())),
+    optional(
+      nullable(
+        object({
+          displayName: optional(string({ maxLength: 100 })),
+          hostMigration: optional(boolean()),
+          password: optional(nullable(string({ maxLength: 50 }))),
+          maxDevices: optional(integer({ min: 2 })),
+          seriesId: optional(nullable(string({ maxLength: 100 }))),
+        })
+      )
+    )
+  ),
+  "join-channel": args(string(), optional(nullable(string())), joinOptions()),
+  "resume-session": args(optional(nullable(object({ channelId: optional(string()) })))),
+  "leave-channel": args(optional(nullable(string()))),
+  "device-status": args(object({ isActive: boolean() })),
+  "update-category-vote": args(
+    object({ channelId: string(), categories: array(any(), { maxLength: 50 }) })
+  ),
+  "update-ready-state": args(object({ channelId: string(), isReady: boolean() })),
+  "close-category-vote": channelOnly(),
+  "set-teams": args(
+    object({ channelId: string(), teams: array(string({ maxLength: 50 }), { maxLength: 10 }) })
+  ),
+  "assign-team": args(
+    object({ channelId: string(), targetDeviceId: string(), teamId: nullable(string()) })
+  ),
+  "balance-teams": args(object({ channelId: string(), reshuffle: optional(boolean()) })),
+  "set-team-captain": args(
+    object({ channelId: string(), teamId: string(), targetDeviceId: string() })
+  ),
+  "lock-lobby": channelOnly(),
+  "unlock-lobby": channelOnly(),
+  "start-game": args(object({ channelId: string(), settings: optional(nullable(object())) })),
+  "update-game-settings": args(object({ channelId: string(), settings: object() })),
+  "load-questions": args(
+    object({
+      channelId: string(),
+      questions: questionSet(),
+      tiebreakerQuestions: optional(questionSet()),
+    })
+  ),
+  "submit-answer": args(
+    object({
+      channelId: string(),
+      questionIndex: integer(),
+      answerIndex: optional(integer()),
+      answer: optional(any()),
+      timeSpent: optional(number()),
+    })
+  ),
+  "use-lifeline": args(
+    object({ channelId: string(), questionIndex: integer(), lifeline: oneOf(LIFELINES) })
+  ),
+  "guest-selected-answer": args(object({ channelId: string(), questionIndex: integer() })),
+  "next-question": channelOnly(),
+  "pause-game": channelOnly(),
+  "resume-game": channelOnly(),
+  "reset-game": channelOnly(),
+  "remove-device": args(object({ channelId: string(), targetDeviceId: string() })),
+  // Sincronização de relógio: o cliente manda a hora dele e o RTT medido no ping anterior
+  ping: args(
+    optional(nullable(object({ clientTime: optional(number()), rttMs: optional(integer({ min: 0 })) })))
+  ),
+  "update-locale": args(object({ locale: string({ maxLength: 20 }) })),
+  "claim-nickname": args(
+    object({ nickname: string({ maxLength: 30 }), pin: optional(string({ maxLength: 20 })) })
+  ),
+  "get-profile": args(optional(nullable(object({ profileId: optional(string()) })))),
+  "get-leaderboard": args(
+    object({
+      scope: oneOf(LEADERBOARD_SCOPES),
+      seriesId: optional(string()),
+      limit: optional(integer({ min: 1 })),
+    })
+  ),
+  "request-resync": channelOnly(),
+};
+
+/**
+ * Validates the arguments of an event. Returns an error message or null.
+ */
+export const validateEventPayload = (event, values) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return "unknown event";
+  }
+  return schema(values);
+};
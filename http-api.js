@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import express from "express";
+import { buildPlayersCsv, buildQuestionsCsv, buildAnswersCsv } from "./match-history.js";
+import { buildProfilePayload, LEADERBOARD_SCOPES } from "./profiles.js";
+
+const MATCH_CSV_BUILDERS = {
+  players: buildPlayersCsv,
+  questions: buildQuestionsCsv,
+  answers: buildAnswersCsv,
+};
+
+/**
+ * Compares the bearer token of the request with ADMIN_API_TOKEN in constant time
+ */
+const hasValidToken = (req, token) => {
+  const header = req.get("authorization") || "";
+  const provided = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
+  const expected = Buffer.from(token);
+  const received = Buffer.from(provided);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Read-only JSON endpoints about the server state and Prometheus metrics, plus admin actions protected by
+ * `adminToken`. Admin actions are disabled when no token is configured.
+ */
+export const createHttpApi = ({
+  metricsRegistry,
+  questionBank,
+  matchHistory,
+  profiles,
+  adminToken,
+  channels,
+  connectedDevices,
+  getChannelState,
+  getChannelPhase,
+  buildDevicePayload,
+  forceCloseChannel,
+  removeDeviceFromChannel,
+}) => {
+  const router = express.Router();
+
+  const requireAdminToken = (req, res, next) => {
+    if (!adminToken) {
+      res.status(403).json({ error: "admin_api_disabled" });
+      return;
+    }
+    if (!hasValidToken(req, adminToken)) {
+      res.status(401).json({ error: "unauthorized" });
+      return;
+    }
+    next();
+  };
+
+  router.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      uptime: Math.round(process.uptime()),
+      channels: channels.size,
+      devices: connectedDevices.size,
+      timestamp: Date.now(),
+    });
+  });
+
+  router.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(metricsRegistry.render());
+  });
+
+  router.get("/categories", (req, res) => {
+    res.json(questionBank.listCategories());
+  });
+
+  router.get("/channels", requireAdminToken, (req, res) => {
+    res.json(
+      Array.from(channels.entries()).map(([channelId, channel]) => ({
+        id: channelId,
+        adminId: channel.adminId,
+        deviceCount: channel.devices.size,
+        isLocked: Boolean(channel.isLocked),
+        phase: getChannelPhase(channel),
+      }))
+    );
+  });
+
+  router.get("/channels/:id", requireAdminToken, (req, res) => {
+    if (!channels.has(req.params.id)) {
+      res.status(404).json({ error: "channel_not_found" });
+      return;
+    }
+    // Mesma visão dos guests: respostas ocultas até serem reveladas
+    res.json(getChannelState(req.params.id));
+  });
+
+  router.get("/devices/:id", requireAdminToken, (req, res) => {
+    const device = connectedDevices.get(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: "device_not_found" });
+      return;
+    }
+    res.json(buildDevicePayload(device));
+  });
+
+  router.get("/matches", requireAdminToken, (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json(matchHistory.list({ channelId: req.query.channelId, limit }));
+  });
+
+  router.get("/matches/:id", requireAdminToken, (req, res) => {
+    const match = matchHistory.get(req.params.id);
+    if (!match) {
+      res.status(404).json({ error: "match_not_found" });
+      return;
+    }
+    res.json(match);
+  });
+
+  // Planilhas: /matches/:id/players.csv, questions.csv ou answers.csv
+  router.get("/matches/:id/:report.csv", requireAdminToken, (req, res) => {
+    const match = matchHistory.get(req.params.id);
+    const buildCsv = MATCH_CSV_BUILDERS[req.params.report];
+    if (!match || !buildCsv) {
+      res.status(404).json({ error: match ? "report_not_found" : "match_not_found" });
+      return;
+    }
+    res
+      .type("text/csv; charset=utf-8")
+      .attachment(`${match.channelId}-${req.params.report}.csv`)
+      .send(buildCsv(match));
+  });
+
+  router.get("/profiles/:id", (req, res) => {
+    // Id do perfil ou deviceId de um dos seus dispositivos
+    const profile = profiles.get(req.params.id) || profiles.getForDevice(req.params.id);
+    if (!profile) {
+      res.status(404).json({ error: "profile_not_found" });
+      return;
+    }
+    res.json(buildProfilePayload(profile));
+  });
+
+  // /leaderboards/all-time, /leaderboards/weekly ou /leaderboards/series?seriesId=...
+  router.get("/leaderboards/:scope", (req, res) => {
+    const { scope } = req.params;
+    if (!LEADERBOARD_SCOPES.includes(scope)) {
+      res.status(404).json({ error: "leaderboard_not_found" });
+      return;
+    }
+    if (scope === "series" && !req.query.seriesId) {
+      res.status(400).json({ error: "missing_series_id" });
+      return;
+    }
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    res.json(profiles.leaderboard({ scope, seriesId: req.query.seriesId, limit }));
+  });
+
+  router.post("/channels/:id/close", requireAdminToken, (req, res) => {
+    if (!channels.has(req.params.id)) {
+      res.status(404).json({ error: "channel_not_found" });
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] Operator closing channel ${req.params.id}`);
+    forceCloseChannel(req.params.id, "closed_by_operator", { notifyAdmin: true });
+    res.json({ ok: true });
+  });
+
+  router.delete("/channels/:id/devices/:deviceId", requireAdminToken, (req, res) => {
+    const channel = channels.get(req.params.id);
+    if (!channel) {
+      res.status(404).json({ error: "channel_not_found" });
+      return;
+    }
+    if (!channel.devices.has(req.params.deviceId)) {
+      res.status(404).json({ error: "device_not_found" });
+      return;
+    }
+    if (channel.adminId === req.params.deviceId) {
+      res.status(409).json({ error: "cannot_remove_admin" });
+      return;
+    }
+
+    console.log(
+      `[${new Date().toISOString()}] Operator removing device ${req.params.deviceId} from channel ${req.params.id}`
+    );
+    removeDeviceFromChannel(req.params.deviceId, "removed_by_operator");
+    res.json({ ok: true });
+  });
+
+  return router;
+};
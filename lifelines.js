@@ -0,0 +1,74 @@
+import { getQuestionType } from "./question-types.js";
+
+/**
+ * Lifelines a player can use on the current question, a limited number of times per game.
+ * The `lifelines` game setting holds the quota of each one, e.g. { fiftyFifty: 1, skip: 2 }:
+ *
+ * - fiftyFifty: hides two wrong options of a single-choice question, for that device only
+ * - doublePoints: doubles the points of the answer (a penalty stays the same)
+ * - extraTime: EXTRA_TIME_SECONDS more to answer after the timer runs out
+ * - skip: passes the question without points, penalty or losing the streak
+ */
+export const LIFELINES = ["fiftyFifty", "doublePoints", "extraTime", "skip"];
+
+export const EXTRA_TIME_SECONDS = 15;
+
+const MAX_LIFELINE_QUOTA = 5;
+
+/**
+ * Checks the `lifelines` game setting. Returns an error message or null.
+ */
+export const validateLifelineQuotas = (quotas) => {
+  if (!quotas || typeof quotas !== "object" || Array.isArray(quotas)) {
+    return "expected an object of quotas by lifeline";
+  }
+  for (const [lifeline, quota] of Object.entries(quotas)) {
+    if (!LIFELINES.includes(lifeline)) {
+      return `unknown lifeline ${lifeline} (expected one of ${LIFELINES.join(", ")})`;
+    }
+    if (!Number.isInteger(quota) || quota < 0 || quota > MAX_LIFELINE_QUOTA) {
+      return `${lifeline}: expected 0-${MAX_LIFELINE_QUOTA}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Uses left of every lifeline, given the quotas and what a device already used
+ */
+export const getRemainingLifelines = (quotas = {}, usage = []) =>
+  Object.fromEntries(
+    LIFELINES.map((lifeline) => [
+      lifeline,
+      Math.max(0, (quotas[lifeline] || 0) - usage.filter((u) => u.lifeline === lifeline).length),
+    ])
+  );
+
+/**
+ * Whether a lifeline makes sense for the question: 50/50 needs a single-choice question
+ * with at least 3 options, extra time needs a timer
+ */
+export const isLifelineApplicable = (lifeline, question, settings) => {
+  if (lifeline === "fiftyFifty") {
+    return getQuestionType(question) === "single-choice" && question.options.length >= 3;
+  }
+  if (lifeline === "extraTime") {
+    return Boolean(settings?.timerDuration);
+  }
+  return true;
+};
+
+/**
+ * The wrong options hidden by 50/50: two of them, always leaving at least one wrong option
+ */
+export const pickRemovedOptions = (question) => {
+  const wrong = question.options
+    .map((_, index) => index)
+    .filter((index) => index !== question.correctAnswer);
+  const count = Math.min(2, wrong.length - 1);
+  const removed = [];
+  while (removed.length < count) {
+    removed.push(...wrong.splice(Math.floor(Math.random() * wrong.length), 1));
+  }
+  return removed.sort((a, b) => a - b);
+};
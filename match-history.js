@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Finished games. Records are kept in memory and, with the "file" driver, also written
+ * as one JSON file per match so that they survive restarts. Only the latest `maxMatches`
+ * stay in memory; older files are left on disk but no longer served.
+ */
+export const createMatchHistory = ({
+  driver = "none",
+  directory = "./data/matches",
+  maxMatches = 1000,
+} = {}) => {
+  const matches = new Map(); // matchId -> record, oldest first
+
+  const evictOldest = () => {
+    for (const matchId of matches.keys()) {
+      if (matches.size <= maxMatches) break;
+      matches.delete(matchId);
+    }
+  };
+
+  if (driver === "file") {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.readdirSync(directory)
+      .filter((file) => file.endsWith(".json"))
+      .forEach((file) => {
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+          matches.set(record.id, record);
+        } catch (error) {
+          console.warn(`Ignoring unreadable match ${file}: ${error.message}`);
+        }
+      });
+    // Ordem de término, independente da ordem dos arquivos
+    const sorted = Array.from(matches.values()).sort((a, b) => a.finishedAt - b.finishedAt);
+    matches.clear();
+    sorted.forEach((record) => matches.set(record.id, record));
+    evictOldest();
+  }
+
+  return {
+    record: (match) => {
+      matches.set(match.id, match);
+      evictOldest();
+      if (driver === "file") {
+        fs.promises
+          .writeFile(path.join(directory, `${match.id}.json`), JSON.stringify(match))
+          .catch((error) => console.error(`Failed to store match ${match.id}:`, error.message));
+      }
+    },
+
+    get: (matchId) => matches.get(matchId) || null,
+
+    /**
+     * Summaries of the latest matches, newest first
+     */
+    list: ({ channelId, limit = 50 } = {}) =>
+      Array.from(matches.values())
+        .filter((match) => !channelId || match.channelId === channelId)
+        .reverse()
+        .slice(0, limit)
+        .map((match) => ({
+          id: match.id,
+          channelId: match.channelId,
+          startedAt: match.startedAt,
+          finishedAt: match.finishedAt,
+          totalQuestions: match.questions.length,
+          players: match.ranking.length,
+          winners: match.ranking
+            .filter((entry) => entry.position === 1)
+            .map((entry) => entry.displayName || entry.deviceId),
+        })),
+  };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Nomes e respostas livres começando com =, +, - ou @ virariam fórmula na planilha
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(escapeCsvValue).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * One row per player: final position, totals and the points of every question
+ */
+export const buildPlayersCsv = (match) =>
+  toCsv(
+    [
+      "position",
+      "deviceId",
+      "displayName",
+      "teamId",
+      "totalPoints",
+      "correctAnswers",
+      "totalAnswers",
+      "accuracy",
+      "totalTimeSpent",
+      ...match.questions.map((_, index) => `q${index + 1}_points`),
+    ],
+    match.ranking.map((entry) => {
+      const pointsByQuestion = new Map(
+        match.answers
+          .filter((answer) => answer.deviceId === entry.deviceId)
+          .map((answer) => [answer.questionIndex, answer.points])
+      );
+      return [
+        entry.position,
+        entry.deviceId,
+        entry.displayName,
+        entry.teamId,
+        entry.totalPoints,
+        entry.correctAnswers,
+        entry.totalAnswers,
+        entry.accuracy,
+        entry.totalTimeSpent,
+        ...match.questions.map((_, index) => pointsByQuestion.get(index) ?? ""),
+      ];
+    })
+  );
+
+/**
+ * One row per question: right answer, how many answered and got it right, average time
+ */
+export const buildQuestionsCsv = (match) =>
+  toCsv(
+    [
+      "questionIndex",
+      "question",
+      "type",
+      "category",
+      "correctAnswer",
+      "answers",
+      "correct",
+      "partial",
+      "skipped",
+      "averageTimeSpent",
+      "averagePoints",
+    ],
+    match.questions.map((question, index) => {
+      const all = match.answers.filter((answer) => answer.questionIndex === index);
+      const answers = all.filter((answer) => !answer.skipped);
+      const average = (values) =>
+        values.length > 0
+          ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100
+          : "";
+      return [
+        index,
+        question.question,
+        question.type || "single-choice",
+        question.category,
+        question.correctAnswer,
+        answers.length,
+        answers.filter((answer) => answer.isCorrect).length,
+        answers.filter((answer) => !answer.isCorrect && answer.credit > 0).length,
+        all.length - answers.length,
+        average(answers.map((answer) => answer.timeSpent)),
+        average(answers.map((answer) => answer.points)),
+      ];
+    })
+  );
+
+/**
+ * One row per answer, for detailed analysis
+ */
+export const buildAnswersCsv = (match) =>
+  toCsv(
+    [
+      "questionIndex",
+      "deviceId",
+      "displayName",
+      "answer",
+      "isCorrect",
+      "credit",
+      "points",
+      "timeSpent",
+      "answeredAt",
+      "isTiebreaker",
+      "lifelines",
+    ],
+    match.answers.map((answer) => [
+      answer.questionIndex,
+      answer.deviceId,
+      match.players.find((player) => player.deviceId === answer.deviceId)?.displayName,
+      answer.answer,
+      answer.isCorrect,
+      answer.credit,
+      answer.points,
+      answer.timeSpent,
+      new Date(answer.timestamp).toISOString(),
+      Boolean(answer.isTiebreaker),
+      (answer.lifelines || []).join(" "),
+    ])
+  );
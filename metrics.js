@@ -0,0 +1,79 @@
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+/**
+ * Small registry that renders counters, gauges and summaries in the Prometheus
+ * text exposition format
+ */
+export const createMetricsRegistry = () => {
+  const metrics = [];
+
+  const createSeries = () => {
+    const series = new Map(); // labelKey -> { labels, value }
+    const add = (labels, value) => {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    };
+    return { series, add };
+  };
+
+  return {
+    counter: (name, help) => {
+      const { series, add } = createSeries();
+      metrics.push({ name, help, type: "counter", samples: () => Array.from(series.values()) });
+      return { inc: (labels = {}, value = 1) => add(labels, value) };
+    },
+
+    /**
+     * Gauges are computed when /metrics is scraped: `collect` returns [{ labels, value }]
+     */
+    gauge: (name, help, collect) => {
+      metrics.push({ name, help, type: "gauge", samples: collect });
+    },
+
+    summary: (name, help) => {
+      const sums = createSeries();
+      const counts = createSeries();
+      metrics.push({
+        name,
+        help,
+        type: "summary",
+        samples: () => [
+          ...Array.from(sums.series.values()).map((s) => ({ ...s, suffix: "_sum" })),
+          ...Array.from(counts.series.values()).map((s) => ({ ...s, suffix: "_count" })),
+        ],
+      });
+      return {
+        observe: (labels, value) => {
+          sums.add(labels, value);
+          counts.add(labels, 1);
+        },
+      };
+    },
+
+    render: () =>
+      metrics
+        .map(({ name, help, type, samples }) =>
+          [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...samples().map(
+              ({ labels = {}, value, suffix = "" }) => `${name}${suffix}${formatLabels(labels)} ${value}`
+            ),
+          ].join("\n")
+        )
+        .join("\n") + "\n",
+  };
+};
@@ -0,0 +1,96 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Keeps nothing. Used when persistence is disabled (default).
+ */
+const createNoopStore = () => ({
+  loadAll: () => [],
+  save: () => {},
+  remove: () => {},
+});
+
+/**
+ * Stores one JSON snapshot per channel in a local directory.
+ * Files are written to a temporary path first and renamed, so a crash mid-write
+ * never leaves a half-written snapshot behind.
+ */
+const createFileStore = (directory) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (channelId) => path.join(directory, `${encodeURIComponent(channelId)}.json`);
+  let writeCount = 0;
+  const pendingWrites = new Map(); // channelId -> last queued write or removal
+  const generations = new Map(); // channelId -> times removed while writes were pending
+
+  /**
+   * Runs the file operations of a channel one after the other, so that an older snapshot
+   * never replaces a newer one and a removal always comes after the writes before it
+   */
+  const queue = (channelId, operation) => {
+    const pending = (pendingWrites.get(channelId) || Promise.resolve()).then(operation);
+    pendingWrites.set(channelId, pending);
+    pending.then(() => {
+      if (pendingWrites.get(channelId) === pending) {
+        pendingWrites.delete(channelId);
+        generations.delete(channelId);
+      }
+    });
+  };
+
+  return {
+    loadAll: () =>
+      fs
+        .readdirSync(directory)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+          } catch (error) {
+            console.warn(`Ignoring unreadable snapshot ${file}: ${error.message}`);
+            return null;
+          }
+        })
+        .filter((snapshot) => snapshot != null),
+
+    save: (channelId, snapshot) => {
+      const target = fileFor(channelId);
+      const temp = `${target}.${++writeCount}.tmp`;
+      const generation = generations.get(channelId) || 0;
+      queue(channelId, () =>
+        fs.promises
+          .writeFile(temp, JSON.stringify(snapshot))
+          .then(() =>
+            // Canal removido enquanto o arquivo era escrito: descartar
+            generation === (generations.get(channelId) || 0)
+              ? fs.promises.rename(temp, target)
+              : fs.promises.rm(temp, { force: true })
+          )
+          .catch((error) => console.error(`Failed to persist channel ${channelId}:`, error.message))
+      );
+    },
+
+    remove: (channelId) => {
+      generations.set(channelId, (generations.get(channelId) || 0) + 1);
+      queue(channelId, () =>
+        fs.promises.rm(fileFor(channelId), { force: true }).catch((error) => {
+          console.error(`Failed to remove snapshot of channel ${channelId}:`, error.message);
+        })
+      );
+    },
+  };
+};
+
+/**
+ * Creates the channel store selected by PERSISTENCE_DRIVER ("none" or "file")
+ */
+export const createPersistence = ({ driver = "none", directory = "./data" } = {}) => {
+  switch (driver) {
+    case "file":
+      return createFileStore(directory);
+    case "none":
+      return createNoopStore();
+    default:
+      throw new Error(`Unknown persistence driver: ${driver}`);
+  }
+};
@@ -0,0 +1,230 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { hashPassword, verifyPassword } from "./channel-access.js";
+
+export const LEADERBOARD_SCOPES = ["all-time", "weekly", "series"];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_HISTORY_ENTRIES = 500;
+
+const normalizeNickname = (nickname) => nickname.trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Profile data that can be shown to anyone (without the PIN hash or device list)
+ */
+export const buildProfilePayload = (profile) => ({
+  id: profile.id,
+  nickname: profile.nickname,
+  displayName: profile.displayName,
+  gamesPlayed: profile.gamesPlayed,
+  wins: profile.wins,
+  totalPoints: profile.totalPoints,
+  correctAnswers: profile.correctAnswers,
+  totalAnswers: profile.totalAnswers,
+  accuracy:
+    profile.totalAnswers > 0 ? Math.round((profile.correctAnswers / profile.totalAnswers) * 100) : 0,
+  bestStreak: profile.bestStreak,
+  categories: Object.fromEntries(
+    Object.entries(profile.categories).map(([category, { correct, total }]) => [
+      category,
+      { correct, total, accuracy: total > 0 ? Math.round((correct / total) * 100) : 0 },
+    ])
+  ),
+  lastPlayedAt: profile.lastPlayedAt,
+});
+
+/**
+ * Player profiles with stats across games. A profile belongs to a deviceId and can be given
+ * a nickname; a nickname protected by a PIN can be claimed again from another device.
+ * With the "file" driver everything is kept in a single JSON file, written at most once per second.
+ */
+export const createProfileStore = ({ driver = "none", file = "./data/profiles/profiles.json" } = {}) => {
+  const profiles = new Map(); // profileId -> profile
+  const profileByDevice = new Map(); // deviceId -> profileId
+  const profileByNickname = new Map(); // normalized nickname -> profileId
+
+  const index = (profile) => {
+    profiles.set(profile.id, profile);
+    profile.deviceIds.forEach((deviceId) => profileByDevice.set(deviceId, profile.id));
+    if (profile.nickname) {
+      profileByNickname.set(normalizeNickname(profile.nickname), profile.id);
+    }
+  };
+
+  if (driver === "file" && fs.existsSync(file)) {
+    try {
+      JSON.parse(fs.readFileSync(file, "utf8")).forEach(index);
+    } catch (error) {
+      console.warn(`Ignoring unreadable profiles file ${file}: ${error.message}`);
+    }
+  }
+
+  let saveTimeout = null;
+  const scheduleSave = () => {
+    if (driver !== "file" || saveTimeout) return;
+    saveTimeout = setTimeout(() => {
+      saveTimeout = null;
+      const temp = `${file}.tmp`;
+      fs.promises
+        .mkdir(path.dirname(file), { recursive: true })
+        .then(() => fs.promises.writeFile(temp, JSON.stringify(Array.from(profiles.values()))))
+        .then(() => fs.promises.rename(temp, file))
+        .catch((error) => console.error("Failed to store profiles:", error.message));
+    }, 1000);
+  };
+
+  const createProfile = (deviceId, displayName) => {
+    const profile = {
+      id: crypto.randomUUID(),
+      nickname: null,
+      pinHash: null,
+      displayName: displayName || null,
+      deviceIds: [deviceId],
+      gamesPlayed: 0,
+      wins: 0,
+      totalPoints: 0,
+      correctAnswers: 0,
+      totalAnswers: 0,
+      bestStreak: 0,
+      categories: {}, // category -> { correct, total }
+      history: [], // { matchId, channelId, seriesId, finishedAt, points, position }
+      createdAt: Date.now(),
+      lastPlayedAt: null,
+    };
+    index(profile);
+    return profile;
+  };
+
+  const getForDevice = (deviceId) => profiles.get(profileByDevice.get(deviceId)) || null;
+
+  const getOrCreateForDevice = (deviceId, displayName) =>
+    getForDevice(deviceId) || createProfile(deviceId, displayName);
+
+  /**
+   * Points, wins and accuracy over the history entries accepted by `filter`, best first
+   */
+  const buildLeaderboard = (filter, limit) =>
+    Array.from(profiles.values())
+      .map((profile) => {
+        const entries = profile.history.filter(filter);
+        return {
+          profileId: profile.id,
+          nickname: profile.nickname,
+          displayName: profile.displayName,
+          gamesPlayed: entries.length,
+          wins: entries.filter((entry) => entry.position === 1).length,
+          points: entries.reduce((sum, entry) => sum + entry.points, 0),
+        };
+      })
+      .filter((entry) => entry.gamesPlayed > 0)
+      .sort((a, b) => b.points - a.points || b.wins - a.wins)
+      .slice(0, limit)
+      .map((entry, position) => ({ ...entry, position: position + 1 }));
+
+  return {
+    get: (profileId) => profiles.get(profileId) || null,
+    getForDevice,
+
+    /**
+     * Binds a nickname to the profile of a device. Returns { profile } or { error }.
+     */
+    claimNickname: (deviceId, nickname, pin, displayName) => {
+      const ownerId = profileByNickname.get(normalizeNickname(nickname));
+      const current = getForDevice(deviceId);
+
+      if (ownerId && ownerId !== current?.id) {
+        const owner = profiles.get(ownerId);
+        if (!owner.pinHash || !pin || !verifyPassword(pin, owner.pinHash)) {
+          return { error: "nickname_taken" };
+        }
+        // Mesmo jogador em outro dispositivo
+        profileByDevice.set(deviceId, owner.id);
+        owner.deviceIds = [...new Set([...owner.deviceIds, deviceId])];
+        if (current) {
+          current.deviceIds = current.deviceIds.filter((id) => id !== deviceId);
+        }
+        scheduleSave();
+        return { profile: owner };
+      }
+
+      const profile = current || createProfile(deviceId, displayName);
+      if (profile.nickname) {
+        profileByNickname.delete(normalizeNickname(profile.nickname));
+      }
+      profile.nickname = nickname.trim();
+      if (pin) {
+        profile.pinHash = hashPassword(pin);
+      }
+      profileByNickname.set(normalizeNickname(profile.nickname), profile.id);
+      scheduleSave();
+      return { profile };
+    },
+
+    setDisplayName: (deviceId, displayName) => {
+      const profile = getForDevice(deviceId);
+      if (profile && displayName) {
+        profile.displayName = displayName;
+        scheduleSave();
+      }
+    },
+
+    /**
+     * Adds a finished match (see buildMatchRecord) to the profile of every ranked player
+     */
+    recordMatch: (match) => {
+      match.ranking.forEach((entry) => {
+        const profile = getOrCreateForDevice(entry.deviceId, entry.displayName);
+        profile.gamesPlayed++;
+        profile.wins += entry.position === 1 ? 1 : 0;
+        profile.totalPoints += entry.totalPoints;
+        profile.correctAnswers += entry.correctAnswers;
+        profile.totalAnswers += entry.totalAnswers;
+        profile.bestStreak = Math.max(profile.bestStreak, entry.bestStreak || 0);
+        profile.lastPlayedAt = match.finishedAt;
+
+        match.answers
+          .filter(
+            (answer) =>
+              answer.deviceId === entry.deviceId && !answer.isTiebreaker && !answer.skipped
+          )
+          .forEach((answer) => {
+            const category = match.questions[answer.questionIndex]?.category;
+            if (!category) return;
+            const stats = profile.categories[category] || { correct: 0, total: 0 };
+            stats.total++;
+            stats.correct += answer.isCorrect ? 1 : 0;
+            profile.categories[category] = stats;
+          });
+
+        profile.history = [
+          ...profile.history,
+          {
+            matchId: match.id,
+            channelId: match.channelId,
+            seriesId: match.seriesId || null,
+            finishedAt: match.finishedAt,
+            points: entry.totalPoints,
+            position: entry.position,
+          },
+        ].slice(-MAX_HISTORY_ENTRIES);
+      });
+      scheduleSave();
+    },
+
+    /**
+     * scope: "all-time", "weekly" (last 7 days) or "series" (every game of the channels created
+     * with `seriesId`)
+     */
+    leaderboard: ({ scope = "all-time", seriesId, limit = 20 } = {}) => {
+      if (scope === "weekly") {
+        const since = Date.now() - WEEK_MS;
+        return buildLeaderboard((entry) => entry.finishedAt >= since, limit);
+      }
+      if (scope === "series") {
+        return buildLeaderboard((entry) => entry.seriesId === seriesId, limit);
+      }
+      return buildLeaderboard(() => true, limit);
+    },
+  };
+};
@@ -0,0 +1,192 @@
+import fs from "fs";
+import path from "path";
+import { validateQuestionType } from "./question-types.js";
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const DEFAULT_LOCALE = "pt-BR";
+
+// Pontos usados quando a pergunta do banco não define `points`
+const DIFFICULTY_POINTS = { easy: 100, medium: 200, hard: 300 };
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let index = result.length - 1; index > 0; index--) {
+    const other = Math.floor(Math.random() * (index + 1));
+    [result[index], result[other]] = [result[other], result[index]];
+  }
+  return result;
+};
+
+/**
+ * The question of an entry in one locale. A translation has `question` and `options` and may
+ * override `correctAnswer` (e.g. the accepted answers of a free-text question).
+ */
+const buildLocalizedQuestion = (entry, locale) => {
+  const { translations, ...fields } = entry;
+  const translation = translations[locale] || translations[DEFAULT_LOCALE];
+  return {
+    ...fields,
+    question: translation.question,
+    options: translation.options,
+    correctAnswer: translation.correctAnswer ?? entry.correctAnswer,
+    points: entry.points ?? DIFFICULTY_POINTS[entry.difficulty],
+  };
+};
+
+/**
+ * Returns an error message for an entry of a bank file, or null when it can be used
+ */
+const validateBankQuestion = (entry) => {
+  if (!entry || typeof entry.id !== "string" || !entry.id) {
+    return "missing id";
+  }
+  if (!DIFFICULTIES.includes(entry.difficulty)) {
+    return `difficulty must be one of ${DIFFICULTIES.join(", ")}`;
+  }
+  const base = entry.translations?.[DEFAULT_LOCALE];
+  if (!base) {
+    return `missing "${DEFAULT_LOCALE}" translation`;
+  }
+  for (const [locale, translation] of Object.entries(entry.translations)) {
+    if (typeof translation?.question !== "string") {
+      return `${locale}: expected a question`;
+    }
+    if (translation.options?.length !== base.options?.length) {
+      return `${locale}: expected the same options as "${DEFAULT_LOCALE}"`;
+    }
+    const error = validateQuestionType(buildLocalizedQuestion(entry, locale));
+    if (error) {
+      return `${locale}: ${error}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Question bank read from the JSON files of `directory`. Each file holds one category:
+ * { "category": "...", "questions": [{ id, type?, difficulty, points?, correctAnswer, translations }] }
+ * where `translations` maps a locale to { question, options }. Without a directory the bank is empty.
+ */
+export const createQuestionBank = ({ directory } = {}) => {
+  const questions = new Map(); // id -> question
+
+  if (directory) {
+    const files = fs.existsSync(directory)
+      ? fs.readdirSync(directory).filter((file) => file.endsWith(".json"))
+      : [];
+
+    files.forEach((file) => {
+      try {
+        const { category, questions: entries = [] } = JSON.parse(
+          fs.readFileSync(path.join(directory, file), "utf8")
+        );
+        if (typeof category !== "string" || !category.trim()) {
+          throw new Error("missing category");
+        }
+
+        entries.forEach((entry, index) => {
+          const error = validateBankQuestion(entry);
+          if (error) {
+            console.warn(`[question-bank] Skipping ${file} #${index}: ${error}`);
+          } else if (questions.has(entry.id)) {
+            console.warn(`[question-bank] Skipping ${file} #${index}: duplicate id ${entry.id}`);
+          } else {
+            questions.set(entry.id, { ...entry, category: category.trim() });
+          }
+        });
+      } catch (error) {
+        console.warn(`[question-bank] Could not read ${file}: ${error.message}`);
+      }
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Question bank: ${questions.size} questions from ${files.length} files in ${directory}`
+    );
+  }
+
+  const listCategories = () => {
+    const categories = new Map(); // category -> { name, total, byDifficulty }
+    questions.forEach(({ category, difficulty }) => {
+      const entry = categories.get(category) || {
+        name: category,
+        total: 0,
+        byDifficulty: Object.fromEntries(DIFFICULTIES.map((level) => [level, 0])),
+      };
+      entry.total++;
+      entry.byDifficulty[difficulty]++;
+      categories.set(category, entry);
+    });
+    return Array.from(categories.values()).sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  /**
+   * Draws `count` questions spread evenly (round-robin) over `categories`. Questions of
+   * `difficulty` come first; questions in `exclude` (already played) are only used when
+   * nothing else is left, and other categories fill in when the chosen ones run out.
+   */
+  const draw = ({ categories = [], count, difficulty = null, exclude = new Set() }) => {
+    const picked = [];
+    const pickedIds = new Set();
+    const all = Array.from(questions.values());
+
+    const isChosen = (q) => categories.includes(q.category) && !exclude.has(q.id);
+    const passes = [
+      (q) => isChosen(q) && (!difficulty || q.difficulty === difficulty),
+      isChosen,
+      (q) => !exclude.has(q.id),
+      () => true,
+    ];
+
+    for (const accepts of passes) {
+      if (picked.length >= count) {
+        break;
+      }
+
+      // Uma fila embaralhada por categoria, consumidas alternadamente
+      const queues = new Map();
+      shuffle(all.filter((q) => !pickedIds.has(q.id) && accepts(q))).forEach((q) => {
+        if (!queues.has(q.category)) {
+          queues.set(q.category, []);
+        }
+        queues.get(q.category).push(q);
+      });
+
+      const order = shuffle(Array.from(queues.keys()));
+      while (picked.length < count && order.some((category) => queues.get(category).length > 0)) {
+        for (const category of order) {
+          const next = queues.get(category).shift();
+          if (next && picked.length < count) {
+            picked.push(next);
+            pickedIds.add(next.id);
+          }
+        }
+      }
+    }
+
+    return picked;
+  };
+
+  /**
+   * Builds the question lists of every locale found in `drawn`, in the format accepted by
+   * load-questions. Missing translations fall back to "pt-BR".
+   */
+  const localize = (drawn) => {
+    const locales = new Set([DEFAULT_LOCALE]);
+    drawn.forEach((q) => Object.keys(q.translations).forEach((locale) => locales.add(locale)));
+
+    return Object.fromEntries(
+      Array.from(locales).map((locale) => [
+        locale,
+        drawn.map((q) => buildLocalizedQuestion(q, locale)),
+      ])
+    );
+  };
+
+  return {
+    size: () => questions.size,
+    listCategories,
+    draw,
+    localize,
+  };
+};
@@ -0,0 +1,283 @@
+/**
+ * Question types: how each one is validated when it is loaded, which answers it accepts and
+ * how they are graded. Every type keeps its answer key in `correctAnswer`:
+ *
+ * - single-choice: index of the right option (default when `type` is missing)
+ * - true-false: boolean
+ * - multiple-select: indexes of every right option; `partialCredit` (default true)
+ * - ordering: option indexes in the right order; `partialCredit` (default false)
+ * - numeric: number; the closest answers win once the question is revealed, optionally
+ *   only within `tolerance`
+ * - free-text: accepted answers, compared after normalization
+ */
+
+export const QUESTION_TYPES = [
+  "single-choice",
+  "true-false",
+  "multiple-select",
+  "ordering",
+  "numeric",
+  "free-text",
+];
+
+export const getQuestionType = (question) => question.type || "single-choice";
+
+const isOptionIndex = (question, value) =>
+  Number.isInteger(value) && value >= 0 && value < question.options.length;
+
+const hasOptions = (question) =>
+  Array.isArray(question.options) &&
+  question.options.length >= 2 &&
+  question.options.length <= 10 &&
+  question.options.every((option) => typeof option === "string" && option.length > 0);
+
+const isPermutation = (question, value) =>
+  Array.isArray(value) &&
+  value.length === question.options.length &&
+  new Set(value).size === value.length &&
+  value.every((index) => isOptionIndex(question, index));
+
+/**
+ * Ignores case, accents, punctuation and repeated spaces: "São  Pedro!" matches "sao pedro"
+ */
+export const normalizeFreeText = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Checks the type-specific fields of a question. Returns an error message or null.
+ */
+export const validateQuestionType = (question) => {
+  const type = getQuestionType(question);
+  const { correctAnswer } = question;
+
+  switch (type) {
+    case "single-choice":
+      if (!hasOptions(question)) return "options: expected 2 to 10 options";
+      return isOptionIndex(question, correctAnswer) ? null : "correctAnswer: out of range";
+
+    case "true-false":
+      return typeof correctAnswer === "boolean" ? null : "correctAnswer: expected a boolean";
+
+    case "multiple-select":
+      if (!hasOptions(question)) return "options: expected 2 to 10 options";
+      if (
+        !Array.isArray(correctAnswer) ||
+        correctAnswer.length === 0 ||
+        new Set(correctAnswer).size !== correctAnswer.length ||
+        !correctAnswer.every((index) => isOptionIndex(question, index))
+      ) {
+        return "correctAnswer: expected distinct option indexes";
+      }
+      return null;
+
+    case "ordering":
+      if (!hasOptions(question)) return "options: expected 2 to 10 options";
+      return isPermutation(question, correctAnswer)
+        ? null
+        : "correctAnswer: expected every option index once";
+
+    case "numeric":
+      if (typeof correctAnswer !== "number" || !Number.isFinite(correctAnswer)) {
+        return "correctAnswer: expected a number";
+      }
+      if (
+        question.tolerance !== undefined &&
+        (typeof question.tolerance !== "number" || question.tolerance < 0)
+      ) {
+        return "tolerance: expected a number >= 0";
+      }
+      return null;
+
+    case "free-text":
+      if (
+        !Array.isArray(correctAnswer) ||
+        correctAnswer.length === 0 ||
+        !correctAnswer.every((text) => typeof text === "string" && normalizeFreeText(text))
+      ) {
+        return "correctAnswer: expected a list of accepted answers";
+      }
+      return null;
+
+    default:
+      return `type: expected one of ${QUESTION_TYPES.join(", ")}`;
+  }
+};
+
+/**
+ * Checks the shape of a submitted answer. Returns an error message or null.
+ */
+export const validateAnswer = (question, answer) => {
+  switch (getQuestionType(question)) {
+    case "single-choice":
+      return isOptionIndex(question, answer) ? null : "expected an option index";
+    case "true-false":
+      return typeof answer === "boolean" ? null : "expected a boolean";
+    case "multiple-select":
+      return Array.isArray(answer) &&
+        new Set(answer).size === answer.length &&
+        answer.every((index) => isOptionIndex(question, index))
+        ? null
+        : "expected distinct option indexes";
+    case "ordering":
+      return isPermutation(question, answer) ? null : "expected every option index once";
+    case "numeric":
+      return typeof answer === "number" && Number.isFinite(answer) ? null : "expected a number";
+    case "free-text":
+      return typeof answer === "string" && answer.length <= 200
+        ? null
+        : "expected a text of at most 200 characters";
+    default:
+      return "unknown question type";
+  }
+};
+
+/**
+ * Grades an answer on its own. Returns { isCorrect, credit } with credit between 0 and 1,
+ * or null for numeric questions, which can only be graded against the other answers
+ * (see gradeNumericAnswers). `variants` are the same question in other locales, whose
+ * accepted free-text answers also count.
+ */
+export const gradeAnswer = (question, answer, variants = []) => {
+  const { correctAnswer } = question;
+
+  switch (getQuestionType(question)) {
+    case "single-choice":
+    case "true-false": {
+      const isCorrect = answer === correctAnswer;
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    case "multiple-select": {
+      const hits = answer.filter((index) => correctAnswer.includes(index)).length;
+      const misses = answer.length - hits;
+      const isCorrect = hits === correctAnswer.length && misses === 0;
+      // Cada opção errada anula uma certa
+      const credit =
+        question.partialCredit === false
+          ? Number(isCorrect)
+          : Math.max(0, (hits - misses) / correctAnswer.length);
+      return { isCorrect, credit };
+    }
+
+    case "ordering": {
+      const inPlace = answer.filter((index, position) => correctAnswer[position] === index).length;
+      const isCorrect = inPlace === correctAnswer.length;
+      const credit = question.partialCredit ? inPlace / correctAnswer.length : Number(isCorrect);
+      return { isCorrect, credit };
+    }
+
+    case "free-text": {
+      const accepted = [question, ...variants].flatMap((q) => q.correctAnswer || []);
+      const normalized = normalizeFreeText(answer);
+      const isCorrect = accepted.some((text) => normalizeFreeText(text) === normalized);
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * "Closest wins": every answer at the smallest distance from the right number gets full
+ * credit, unless that distance is beyond `tolerance`. `answers` maps deviceId -> number.
+ */
+export const gradeNumericAnswers = (question, answers) => {
+  const distances = new Map(
+    Array.from(answers).map(([deviceId, answer]) => [
+      deviceId,
+      Math.abs(answer - question.correctAnswer),
+    ])
+  );
+  const best = Math.min(...distances.values());
+  const hasWinner = question.tolerance === undefined || best <= question.tolerance;
+
+  return new Map(
+    Array.from(distances).map(([deviceId, distance]) => {
+      const isCorrect = hasWinner && distance === best;
+      return [deviceId, { isCorrect, credit: isCorrect ? 1 : 0, distance }];
+    })
+  );
+};
+
+/**
+ * Summarizes the answers given to a question for result screens. `answers` are the raw
+ * submitted values; the shape of the summary depends on the question type.
+ */
+export const buildAnswerDistribution = (question, answers) => {
+  const type = getQuestionType(question);
+  const optionCounts = () => (question.options || []).map(() => 0);
+
+  switch (type) {
+    case "single-choice": {
+      const options = optionCounts();
+      answers.forEach((answer) => {
+        options[answer]++;
+      });
+      return { type, total: answers.length, options };
+    }
+
+    case "multiple-select": {
+      const options = optionCounts();
+      answers.forEach((answer) => answer.forEach((index) => options[index]++));
+      return { type, total: answers.length, options };
+    }
+
+    case "ordering": {
+      // Quantas respostas colocaram cada item na posição certa
+      const inPlace = optionCounts();
+      answers.forEach((answer) =>
+        answer.forEach((index, position) => {
+          if (question.correctAnswer[position] === index) {
+            inPlace[index]++;
+          }
+        })
+      );
+      return { type, total: answers.length, inPlace };
+    }
+
+    case "true-false":
+      return {
+        type,
+        total: answers.length,
+        true: answers.filter((answer) => answer === true).length,
+        false: answers.filter((answer) => answer === false).length,
+      };
+
+    case "numeric": {
+      const values = [...answers].sort((a, b) => a - b);
+      return {
+        type,
+        total: values.length,
+        values,
+        average: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+      };
+    }
+
+    case "free-text": {
+      const groups = new Map(); // normalized -> { text, count }
+      answers.forEach((answer) => {
+        const key = normalizeFreeText(answer);
+        const group = groups.get(key) || { text: answer.trim(), count: 0 };
+        group.count++;
+        groups.set(key, group);
+      });
+      return {
+        type,
+        total: answers.length,
+        answers: Array.from(groups.values())
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 10),
+      };
+    }
+
+    default:
+      return { type, total: answers.length };
+  }
+};
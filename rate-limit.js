@@ -0,0 +1,77 @@
+/**
+ * Token bucket: holds up to `capacity` tokens and regains `refillPerSecond` tokens per second.
+ * Each accepted event takes one token.
+ */
+const createTokenBucket = ({ capacity, refillPerSecond }) => {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  };
+
+  return {
+    take: () => {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return {
+        allowed: false,
+        retryAfterMs: Math.ceil(((1 - tokens) / refillPerSecond) * 1000),
+      };
+    },
+    hasToken: () => {
+      refill();
+      return tokens >= 1;
+    },
+    isFull: () => {
+      refill();
+      return tokens >= capacity;
+    },
+  };
+};
+
+/**
+ * Keeps one token bucket per key and event. `limits` maps event names to
+ * { capacity, refillPerSecond }; events without an entry use `limits.default`.
+ */
+export const createRateLimiter = (limits) => {
+  const buckets = new Map(); // `${key}|${event}` -> bucket
+
+  // Buckets that are full again carry no state and can be dropped
+  const sweep = setInterval(() => {
+    buckets.forEach((bucket, bucketKey) => {
+      if (bucket.isFull()) {
+        buckets.delete(bucketKey);
+      }
+    });
+  }, 60000);
+  sweep.unref();
+
+  return {
+    consume: (key, event) => {
+      const bucketKey = `${key}|${event}`;
+      if (!buckets.has(bucketKey)) {
+        buckets.set(bucketKey, createTokenBucket(limits[event] || limits.default));
+      }
+      return buckets.get(bucketKey).take();
+    },
+
+    /**
+     * Whether `consume` would be allowed, without taking a token
+     */
+    isAllowed: (key, event) => buckets.get(`${key}|${event}`)?.hasToken() ?? true,
+
+    forget: (key) => {
+      buckets.forEach((_, bucketKey) => {
+        if (bucketKey.startsWith(`${key}|`)) {
+          buckets.delete(bucketKey);
+        }
+      });
+    },
+  };
+};
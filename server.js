@@ -3,6 +3,41 @@ import { createServer } from "http";
 import { Server } from "socket.io";
 import cors from "cors";
 import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { createPersistence } from "./persistence.js";
+import { createMatchHistory } from "./match-history.js";
+import { createProfileStore, buildProfilePayload } from "./profiles.js";
+import { createMemoryStateStore, createReplicatedStateStore } from "./state-store.js";
+import { connectBroker } from "./broker.js";
+import { createBrokerAdapter } from "./broker-adapter.js";
+import { createHttpApi } from "./http-api.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { EVENT_SCHEMAS, validateEventPayload } from "./event-schemas.js";
+import { createDeviceAuth } from "./device-auth.js";
+import { createRateLimiter } from "./rate-limit.js";
+import {
+  generateJoinCode,
+  normalizeJoinCode,
+  hashPassword,
+  verifyPassword,
+} from "./channel-access.js";
+import { createQuestionBank, DIFFICULTIES } from "./question-bank.js";
+import {
+  getQuestionType,
+  validateAnswer,
+  gradeAnswer,
+  gradeNumericAnswers,
+  buildAnswerDistribution,
+} from "./question-types.js";
+import {
+  LIFELINES,
+  EXTRA_TIME_SECONDS,
+  validateLifelineQuotas,
+  getRemainingLifelines,
+  isLifelineApplicable,
+  pickRemovedOptions,
+} from "./lifelines.js";
 
 const app = express();
 const httpServer = createServer(app);
@@ -13,7 +48,12 @@ const allowedOrigins = process.env.FRONTEND_URL
   ? process.env.FRONTEND_URL.split(",")
   : ["http://localhost:3001", "http://localhost:5173", "http://127.0.0.1:5173"];
 
+// Com STATE_BROKER_URL, várias instâncias compartilham o estado e os rooms do Socket.IO
+const broker = process.env.STATE_BROKER_URL ? connectBroker(process.env.STATE_BROKER_URL) : null;
+const instanceId = `${os.hostname()}-${process.pid}`;
+
 const io = new Server(httpServer, {
+  ...(broker ? { adapter: createBrokerAdapter(broker) } : {}),
   cors: {
     origin: allowedOrigins,
     methods: ["GET", "POST"],
@@ -25,10 +65,227 @@ const io = new Server(httpServer, {
 });
 
 const MAX_CATEGORY_SELECTIONS = 5;
+// Roles chosen when joining that watch the game without playing
+const NON_PLAYER_ROLES = ["spectator", "presenter"];
+const PRESENTER_STANDINGS_SIZE = 10;
+// Entries of the leaderboard sent with question-results (setting `leaderboardSize`)
+const DEFAULT_LEADERBOARD_SIZE = 5;
+const FASTEST_CORRECT_SIZE = 3;
+
+// Criteria used, in order, to order devices with the same points (setting `tieBreakers`)
+const TIE_BREAKERS = {
+  correctAnswers: (a, b) => b.correctAnswers - a.correctAnswers,
+  totalTimeSpent: (a, b) => a.totalTimeSpent - b.totalTimeSpent,
+  lastAnswerAt: (a, b) => (a.lastAnswerAt ?? Infinity) - (b.lastAnswerAt ?? Infinity),
+};
+const DEFAULT_TIE_BREAKERS = ["correctAnswers", "totalTimeSpent", "lastAnswerAt"];
+// Sudden-death questions played at most before accepting a shared first place
+const MAX_TIEBREAKER_ROUNDS = 3;
+
+// Default capacity of a channel, admin included (can be lowered per channel)
+const MAX_CHANNEL_DEVICES = Number(process.env.MAX_CHANNEL_DEVICES) || 100;
+
+// Time the admin has to reconnect before the channel is closed or handed over
+const ADMIN_GRACE_PERIOD_MS = Number(process.env.ADMIN_GRACE_PERIOD_MS) || 30000;
+// Promote another device to admin instead of closing the channel (can be overridden per channel)
+const HOST_MIGRATION_ENABLED = process.env.HOST_MIGRATION === "true";
+
+const DEFAULT_REVEAL_DELAY = 5; // seconds between the reveal and the next question in auto-advance mode
+
+const SCORING_MODES = ["flat", "speed-decay"];
+
+// Defaults keep the original behaviour: flat points, no streak bonus, no penalty
+const DEFAULT_SCORING = {
+  mode: "flat",
+  minSpeedFactor: 0.5,
+  streakStep: 0,
+  maxStreakMultiplier: 1,
+  wrongAnswerPenalty: 0,
+};
+
+// Used to draw questions from the bank when the admin did not send settings
+const DEFAULT_QUESTION_COUNT = 10;
+const DEFAULT_TOP_CATEGORIES_COUNT = 5;
+
+const INACTIVE_DEVICE_TIMEOUT_MS = 600000; // 10 minutos
+
+// Answers that arrive this long after the deadline still count (at most half the client's RTT)
+const LATE_ANSWER_ALLOWANCE_MS = Number(process.env.LATE_ANSWER_ALLOWANCE_MS) || 500;
+
+/**
+ * Reads RATE_LIMITS. A malformed value is ignored with a warning instead of stopping the server.
+ */
+const parseRateLimitsOverride = (value) => {
+  if (!value) return {};
+  try {
+    const overrides = JSON.parse(value);
+    if (overrides && typeof overrides === "object" && !Array.isArray(overrides)) {
+      return overrides;
+    }
+    console.warn("Ignoring RATE_LIMITS: expected a JSON object");
+  } catch (error) {
+    console.warn(`Ignoring malformed RATE_LIMITS: ${error.message}`);
+  }
+  return {};
+};
+
+// Token buckets per socket and event; events without an entry use `default`.
+// Can be overridden with RATE_LIMITS='{"submit-answer":{"capacity":3,"refillPerSecond":1}}'
+const RATE_LIMITS = {
+  default: { capacity: 20, refillPerSecond: 10 },
+  "update-category-vote": { capacity: 5, refillPerSecond: 2 },
+  "guest-selected-answer": { capacity: 5, refillPerSecond: 2 },
+  "device-status": { capacity: 5, refillPerSecond: 1 },
+  "update-locale": { capacity: 3, refillPerSecond: 0.5 },
+  // Entradas em canais (PINs de lobby também têm o bloqueio de JOIN_PASSWORD_FAILURES)
+  "join-channel": { capacity: 5, refillPerSecond: 0.5 },
+  // Também limita tentativas de PIN
+  "claim-nickname": { capacity: 3, refillPerSecond: 0.2 },
+  // Cada resync monta o estado completo do canal
+  "request-resync": { capacity: 3, refillPerSecond: 0.5 },
+  ...parseRateLimitsOverride(process.env.RATE_LIMITS),
+};
+// Devices in the same classroom often share one IP, so the per-IP buckets are larger
+const RATE_LIMIT_IP_FACTOR = Number(process.env.RATE_LIMIT_IP_FACTOR) || 20;
+// Sockets that go over the limit this many times within a minute are disconnected
+const RATE_LIMIT_MAX_VIOLATIONS = Number(process.env.RATE_LIMIT_MAX_VIOLATIONS) || 30;
+
+// Wrong lobby passwords allowed per IP and channel; afterwards one more every 30 seconds.
+// Unlike the socket buckets, reconnecting does not start over.
+const JOIN_PASSWORD_FAILURES = Number(process.env.JOIN_PASSWORD_FAILURES) || 10;
+
+const questionBank = createQuestionBank({ directory: process.env.QUESTION_BANK_DIR });
+
+const socketRateLimiter = createRateLimiter(RATE_LIMITS);
+const ipRateLimiter = createRateLimiter(
+  Object.fromEntries(
+    Object.entries(RATE_LIMITS).map(([event, { capacity, refillPerSecond }]) => [
+      event,
+      {
+        capacity: capacity * RATE_LIMIT_IP_FACTOR,
+        refillPerSecond: refillPerSecond * RATE_LIMIT_IP_FACTOR,
+      },
+    ])
+  )
+);
+
+const passwordFailureLimiter = createRateLimiter({
+  default: { capacity: JOIN_PASSWORD_FAILURES, refillPerSecond: 1 / 30 },
+});
+
+const getClientIp = (socket) => {
+  const forwardedFor = socket.handshake.headers["x-forwarded-for"];
+  if (process.env.TRUST_PROXY === "true" && typeof forwardedFor === "string") {
+    return forwardedFor.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+};
+
+if (!process.env.DEVICE_TOKEN_SECRET) {
+  console.warn(
+    "DEVICE_TOKEN_SECRET is not set: using a random secret, device credentials will not survive a restart"
+  );
+}
+const deviceAuth = createDeviceAuth(
+  process.env.DEVICE_TOKEN_SECRET || crypto.randomBytes(32).toString("hex")
+);
+const PERSIST_DEBOUNCE_MS = 1000;
+
+const persistence = createPersistence({
+  driver: process.env.PERSISTENCE_DRIVER,
+  directory: process.env.PERSISTENCE_DIR,
+});
+const pendingPersists = new Map(); // channelId -> timeout
+
+// Janela em que várias mudanças de um canal viram um único channel-update
+const UPDATE_COALESCE_MS = Number(process.env.UPDATE_COALESCE_MS) || 50;
+const pendingUpdates = new Map(); // channelId -> timeout
+
+const matchHistory = createMatchHistory({
+  driver: process.env.PERSISTENCE_DRIVER,
+  directory: path.join(process.env.PERSISTENCE_DIR || "./data", "matches"),
+  maxMatches: Number(process.env.MATCH_HISTORY_LIMIT) || 1000,
+});
+
+const profiles = createProfileStore({
+  driver: process.env.PERSISTENCE_DRIVER,
+  // Fora da raiz, onde cada .json é o snapshot de um canal
+  file: path.join(process.env.PERSISTENCE_DIR || "./data", "profiles", "profiles.json"),
+});
 
-const channels = new Map(); // channelId -> { adminId: string, devices: Set<string>, votes: Map<string, Set<string>>, isVotingClosed: boolean, gameSettings: GameSettings }
-const connectedDevices = new Map(); // deviceId -> device info
-const socketToDevice = new Map();
+const metricsRegistry = createMetricsRegistry();
+const metrics = {
+  gamesStarted: metricsRegistry.counter("quizcredo_games_started_total", "Games started"),
+  gamesFinished: metricsRegistry.counter("quizcredo_games_finished_total", "Games finished"),
+  answers: metricsRegistry.counter("quizcredo_answers_total", "Answers submitted, by result"),
+  socketEvents: metricsRegistry.counter(
+    "quizcredo_socket_events_total",
+    "Socket events received, by event name"
+  ),
+  rejectedEvents: metricsRegistry.counter(
+    "quizcredo_rejected_events_total",
+    "Socket events rejected, by event name and reason"
+  ),
+  broadcasts: metricsRegistry.counter(
+    "quizcredo_channel_broadcasts_total",
+    "broadcastChannelUpdate calls, by mode"
+  ),
+  channelUpdateBytes: metricsRegistry.summary(
+    "quizcredo_channel_update_bytes",
+    "Size of the channel-update payloads sent, by mode"
+  ),
+  deltaEvents: metricsRegistry.counter(
+    "quizcredo_delta_events_total",
+    "Delta events sent instead of a full channel-update, by event"
+  ),
+};
+
+/**
+ * Result returned by an event handler that refuses the action. It is sent to the
+ * acknowledgement callback of the client as { ok: false, error }.
+ */
+const rejection = (error, message) => ({ ok: false, error, ...(message ? { message } : {}) });
+
+const stateStore = broker
+  ? createReplicatedStateStore(broker, instanceId)
+  : createMemoryStateStore();
+
+const channels = stateStore.channels; // channelId -> { adminId: string, devices: Set<string>, votes: Map<string, Set<string>>, isVotingClosed: boolean, gameSettings: GameSettings }
+const connectedDevices = stateStore.devices; // deviceId -> device info
+const socketToDevice = stateStore.socketToDevice;
+
+/**
+ * Validates the optional scoring model of the game settings
+ */
+const validateScoringSettings = (scoring) => {
+  if (!scoring || typeof scoring !== "object") {
+    return false;
+  }
+
+  if (scoring.mode !== undefined && !SCORING_MODES.includes(scoring.mode)) {
+    console.warn(`Invalid scoring mode: ${scoring.mode}`);
+    return false;
+  }
+
+  const limits = {
+    minSpeedFactor: { min: 0, max: 1 },
+    streakStep: { min: 0, max: 1 },
+    maxStreakMultiplier: { min: 1, max: 5 },
+    wrongAnswerPenalty: { min: 0, max: 1000 },
+  };
+
+  for (const [key, limit] of Object.entries(limits)) {
+    const value = scoring[key];
+    if (value === undefined) continue; // Optional, falls back to DEFAULT_SCORING
+
+    if (typeof value !== "number" || value < limit.min || value > limit.max) {
+      console.warn(`Invalid scoring setting ${key}: ${value} (expected ${limit.min}-${limit.max})`);
+      return false;
+    }
+  }
+
+  return true;
+};
 
 /**
  * Validates game settings object
@@ -71,9 +328,175 @@ const validateGameSettings = (settings) => {
     }
   }
 
+  if (settings.scoring !== undefined && !validateScoringSettings(settings.scoring)) {
+    return false;
+  }
+
+  if (settings.autoAdvance !== undefined && typeof settings.autoAdvance !== "boolean") {
+    console.warn(`Invalid game setting autoAdvance: ${settings.autoAdvance}`);
+    return false;
+  }
+
+  if (
+    settings.leaderboardSize !== undefined &&
+    (!Number.isInteger(settings.leaderboardSize) ||
+      settings.leaderboardSize < 1 ||
+      settings.leaderboardSize > 20)
+  ) {
+    console.warn(`Invalid game setting leaderboardSize: ${settings.leaderboardSize} (expected 1-20)`);
+    return false;
+  }
+
+  if (
+    settings.tieBreakers !== undefined &&
+    (!Array.isArray(settings.tieBreakers) ||
+      !settings.tieBreakers.every((criterion) => TIE_BREAKERS[criterion]))
+  ) {
+    console.warn(`Invalid game setting tieBreakers: ${settings.tieBreakers}`);
+    return false;
+  }
+
+  if (settings.suddenDeath !== undefined && typeof settings.suddenDeath !== "boolean") {
+    console.warn(`Invalid game setting suddenDeath: ${settings.suddenDeath}`);
+    return false;
+  }
+
+  if (
+    settings.pauseOnAdminDisconnect !== undefined &&
+    typeof settings.pauseOnAdminDisconnect !== "boolean"
+  ) {
+    console.warn(`Invalid game setting pauseOnAdminDisconnect: ${settings.pauseOnAdminDisconnect}`);
+    return false;
+  }
+
+  if (settings.teamScoring !== undefined && !["total", "average"].includes(settings.teamScoring)) {
+    console.warn(`Invalid game setting teamScoring: ${settings.teamScoring}`);
+    return false;
+  }
+
+  if (
+    settings.teamAnswerMode !== undefined &&
+    !["individual", "captain"].includes(settings.teamAnswerMode)
+  ) {
+    console.warn(`Invalid game setting teamAnswerMode: ${settings.teamAnswerMode}`);
+    return false;
+  }
+
+  if (settings.questionSource !== undefined && !["bank", "client"].includes(settings.questionSource)) {
+    console.warn(`Invalid game setting questionSource: ${settings.questionSource}`);
+    return false;
+  }
+
+  if (
+    settings.difficulty !== undefined &&
+    settings.difficulty !== null &&
+    !DIFFICULTIES.includes(settings.difficulty)
+  ) {
+    console.warn(`Invalid game setting difficulty: ${settings.difficulty}`);
+    return false;
+  }
+
+  if (settings.lifelines !== undefined) {
+    const error = validateLifelineQuotas(settings.lifelines);
+    if (error) {
+      console.warn(`Invalid game setting lifelines: ${error}`);
+      return false;
+    }
+  }
+
+  if (
+    settings.revealDelay !== undefined &&
+    (typeof settings.revealDelay !== "number" || settings.revealDelay < 0 || settings.revealDelay > 30)
+  ) {
+    console.warn(`Invalid game setting revealDelay: ${settings.revealDelay} (expected 0-30)`);
+    return false;
+  }
+
   return true;
 };
 
+const getScoringSettings = (channel) => ({
+  ...DEFAULT_SCORING,
+  ...(channel?.gameSettings?.scoring || {}),
+});
+
+/**
+ * Counts the consecutive correct answers a device gave right before questionIndex.
+ * Skipped questions neither add to nor break the streak.
+ */
+const getPreviousStreak = (deviceAnswers, questionIndex) => {
+  let streak = 0;
+  for (let index = questionIndex - 1; index >= 0; index--) {
+    const answer = deviceAnswers.find((a) => a.questionIndex === index);
+    if (answer?.skipped) continue;
+    if (!answer || !answer.isCorrect) break;
+    streak++;
+  }
+  return streak;
+};
+
+/**
+ * Scores an answer from the server-measured response time and the channel scoring model.
+ * Partially right answers (0 < credit < 1) get their share of the points but no streak.
+ * `pointsMultiplier` (double points lifeline) only applies to points won, never to penalties.
+ */
+const scoreAnswer = (
+  channel,
+  question,
+  { isCorrect, credit = isCorrect ? 1 : 0, elapsedMs, previousStreak, pointsMultiplier = 1 }
+) => {
+  const scoring = getScoringSettings(channel);
+  const basePoints = Math.round((question.points || 0) * credit);
+
+  if (credit <= 0) {
+    return {
+      points: -scoring.wrongAnswerPenalty,
+      breakdown: {
+        basePoints: 0,
+        credit: 0,
+        speedFactor: 0,
+        speedPoints: 0,
+        streak: 0,
+        streakMultiplier: 1,
+        streakBonus: 0,
+        lifelineBonus: 0,
+        penalty: scoring.wrongAnswerPenalty,
+      },
+    };
+  }
+
+  // Sem limite de tempo não há como medir a velocidade relativa
+  const timerDuration = channel.gameSettings?.timerDuration;
+  let speedFactor = 1;
+  if (scoring.mode === "speed-decay" && timerDuration) {
+    const elapsedRatio = Math.min(elapsedMs / (timerDuration * 1000), 1);
+    speedFactor = 1 - (1 - scoring.minSpeedFactor) * elapsedRatio;
+  }
+  const speedPoints = Math.round(basePoints * speedFactor);
+
+  const streak = isCorrect ? previousStreak + 1 : 0;
+  const streakMultiplier = isCorrect
+    ? Math.min(1 + scoring.streakStep * (streak - 1), scoring.maxStreakMultiplier)
+    : 1;
+  const streakBonus = Math.round(speedPoints * (streakMultiplier - 1));
+  const lifelineBonus = (speedPoints + streakBonus) * (pointsMultiplier - 1);
+
+  return {
+    points: speedPoints + streakBonus + lifelineBonus,
+    breakdown: {
+      basePoints,
+      credit: Math.round(credit * 100) / 100,
+      speedFactor: Math.round(speedFactor * 100) / 100,
+      speedPoints,
+      streak,
+      streakMultiplier,
+      streakBonus,
+      lifelineBonus,
+      penalty: 0,
+    },
+  };
+};
+
 const buildDevicePayload = (device) => ({
   id: device.id,
   connectedAt: device.connectedAt,
@@ -84,8 +507,79 @@ const buildDevicePayload = (device) => ({
   displayName: device.displayName || device.id,
   isReady: Boolean(device.isReady),
   locale: device.locale || "pt-BR",
+  teamId: device.teamId || null,
 });
 
+/**
+ * Members of a team, in the order they joined the channel
+ */
+const getTeamMembers = (channel, teamId) =>
+  Array.from(channel.devices).filter((deviceId) => connectedDevices.get(deviceId)?.teamId === teamId);
+
+const buildTeamsPayload = (channel) =>
+  (channel?.teams || []).map((team) => ({
+    ...team,
+    memberIds: getTeamMembers(channel, team.id),
+  }));
+
+/**
+ * Moves a device to a team (or out of every team with null). Teams left without their
+ * captain hand it to the next member; a team without captain gets the new member.
+ */
+const assignDeviceToTeam = (channel, deviceId, teamId) => {
+  const device = connectedDevices.get(deviceId);
+  if (!device) return;
+
+  device.teamId = teamId;
+  (channel.teams || []).forEach((team) => {
+    if (team.captainId === deviceId && team.id !== teamId) {
+      team.captainId = getTeamMembers(channel, team.id)[0] || null;
+    }
+    if (team.id === teamId && !team.captainId) {
+      team.captainId = deviceId;
+    }
+  });
+};
+
+/**
+ * Puts a device in the team with the fewest members
+ */
+const assignToSmallestTeam = (channel, deviceId) => {
+  const [smallest] = [...channel.teams].sort(
+    (a, b) => getTeamMembers(channel, a.id).length - getTeamMembers(channel, b.id).length
+  );
+  assignDeviceToTeam(channel, deviceId, smallest.id);
+};
+
+/**
+ * Puts every guest without a team in the team with fewest members. With `reshuffle`,
+ * all guests are drawn again in random order.
+ */
+const balanceTeams = (channel, { reshuffle = false } = {}) => {
+  if (!channel.teams?.length) return;
+
+  const guests = Array.from(channel.devices).filter(
+    (deviceId) => connectedDevices.get(deviceId)?.role === "guest"
+  );
+
+  if (reshuffle) {
+    guests.forEach((deviceId) => {
+      connectedDevices.get(deviceId).teamId = null;
+    });
+    channel.teams.forEach((team) => {
+      team.captainId = null;
+    });
+    for (let index = guests.length - 1; index > 0; index--) {
+      const other = Math.floor(Math.random() * (index + 1));
+      [guests[index], guests[other]] = [guests[other], guests[index]];
+    }
+  }
+
+  guests
+    .filter((deviceId) => !connectedDevices.get(deviceId).teamId)
+    .forEach((deviceId) => assignToSmallestTeam(channel, deviceId));
+};
+
 const getAnsweredGuestsCount = (channel, questionIndex) => {
   if (!channel || !channel.gameState || !channel.gameState.answers) {
     return { answeredCount: 0, totalGuests: 0 };
@@ -94,10 +588,15 @@ const getAnsweredGuestsCount = (channel, questionIndex) => {
   let answeredCount = 0;
   let totalGuests = 0;
 
+  // Na morte súbita só os empatados respondem
+  const { tiebreaker } = channel.gameState;
+  const participants =
+    tiebreaker && questionIndex >= tiebreaker.startIndex ? tiebreaker.deviceIds : null;
+
   // Contar total de guests no canal
   Array.from(channel.devices || []).forEach((deviceId) => {
     const device = connectedDevices.get(deviceId);
-    if (device && device.role === "guest") {
+    if (device && device.role === "guest" && (!participants || participants.includes(deviceId))) {
       totalGuests++;
 
       // Verificar se este guest respondeu a pergunta atual
@@ -158,7 +657,236 @@ const getCategoryTotals = (channelId) => {
     });
 };
 
-const getChannelState = (channelId) => {
+const buildQuestionPayload = (question, { includeAnswer = false } = {}) => ({
+  id: question.id,
+  type: getQuestionType(question),
+  question: question.question,
+  options: question.options,
+  difficulty: question.difficulty,
+  points: question.points,
+  category: question.category,
+  ...(includeAnswer ? { correctAnswer: question.correctAnswer } : {}),
+});
+
+/**
+ * Returns the questions a device is allowed to see. The admin gets the whole quiz with answers;
+ * guests only get questions up to the current one, with the answer once it has been revealed.
+ */
+const buildVisibleQuestions = (channel, questions, { isAdmin = false } = {}) => {
+  const { currentQuestionIndex, isRevealed, isShowingResults } = channel.gameState;
+
+  if (isAdmin || isShowingResults) {
+    return questions.map((q) => buildQuestionPayload(q, { includeAnswer: true }));
+  }
+
+  return questions
+    .slice(0, currentQuestionIndex + 1)
+    .map((q, index) =>
+      buildQuestionPayload(q, {
+        includeAnswer: index < currentQuestionIndex || Boolean(isRevealed),
+      })
+    );
+};
+
+/**
+ * Lifelines a device used on a question
+ */
+const getLifelinesUsedOn = (channel, deviceId, questionIndex) =>
+  (channel.gameState.lifelines?.[deviceId] || []).filter((u) => u.questionIndex === questionIndex);
+
+/**
+ * Devices that used extraTime on the current question and have not answered it yet
+ */
+const getExtendedDeviceIds = (channel) => {
+  const { currentQuestionIndex, answers } = channel.gameState;
+  return Object.keys(channel.gameState.lifelines || {}).filter(
+    (deviceId) =>
+      getLifelinesUsedOn(channel, deviceId, currentQuestionIndex).some(
+        (u) => u.lifeline === "extraTime"
+      ) && !(answers.get(deviceId) || []).some((a) => a.questionIndex === currentQuestionIndex)
+  );
+};
+
+/**
+ * When the current question closes, in server time (ms). Null without a timer, while paused
+ * or once the question is revealed. Pauses move questionStartTime, so the deadline follows.
+ */
+const getQuestionDeadline = (channel) => {
+  const { gameState } = channel;
+  const timerDuration = channel.gameSettings?.timerDuration;
+  if (
+    timerDuration === null ||
+    !gameState?.questionStartTime ||
+    gameState.isPaused ||
+    gameState.isRevealed ||
+    gameState.isShowingResults
+  ) {
+    return null;
+  }
+  return gameState.questionStartTime + (timerDuration || 60) * 1000;
+};
+
+/**
+ * Seconds left on the question timer. While it runs it comes from the deadline, so instances
+ * that don't run the timer (ticks are not replicated) and snapshots see the current value.
+ */
+const getTimerRemaining = (channel) => {
+  const deadline = getQuestionDeadline(channel);
+  if (deadline === null) {
+    return channel.gameState.timerRemaining;
+  }
+  return Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+};
+
+/**
+ * Deadline of one device: extraTime moves it EXTRA_TIME_SECONDS later
+ */
+const getDeviceDeadline = (channel, deviceId) => {
+  const deadline = getQuestionDeadline(channel);
+  if (deadline === null || !getExtendedDeviceIds(channel).includes(deviceId)) {
+    return deadline;
+  }
+  return deadline + EXTRA_TIME_SECONDS * 1000;
+};
+
+/**
+ * How late an answer may arrive: the one-way latency reported by the client, up to
+ * LATE_ANSWER_ALLOWANCE_MS. Clients that never reported an RTT get the whole allowance.
+ */
+const getLateAnswerAllowance = (device) =>
+  Number.isFinite(device?.rttMs)
+    ? Math.min(LATE_ANSWER_ALLOWANCE_MS, Math.max(0, device.rttMs / 2))
+    : LATE_ANSWER_ALLOWANCE_MS;
+
+/**
+ * Question timer as a device sees it: with extraTime it goes on after the channel timer
+ */
+const getDeviceTimerRemaining = (channel, deviceId) => {
+  const timerRemaining = getTimerRemaining(channel);
+  const { overtimeRemaining } = channel.gameState;
+  if (!getExtendedDeviceIds(channel).includes(deviceId)) {
+    return timerRemaining;
+  }
+  return overtimeRemaining ?? timerRemaining + EXTRA_TIME_SECONDS;
+};
+
+/**
+ * Lifelines of a device: uses left and what it used on the current question
+ */
+const buildDeviceLifelines = (channel, deviceId) => {
+  const usage = channel.gameState.lifelines?.[deviceId] || [];
+  const current = getLifelinesUsedOn(channel, deviceId, channel.gameState.currentQuestionIndex);
+  return {
+    remaining: getRemainingLifelines(channel.gameSettings?.lifelines, usage),
+    used: current.map((u) => u.lifeline),
+    removedOptions: current.find((u) => u.removedOptions)?.removedOptions || null,
+  };
+};
+
+/**
+ * Whether a lifeline of the device changes its view of the current question
+ */
+const hasActiveLifelines = (channel, deviceId) =>
+  getLifelinesUsedOn(channel, deviceId, channel.gameState.currentQuestionIndex).length > 0;
+
+/**
+ * Applies the lifelines of a device to its copy of the channel state: uses left, hidden
+ * options on the current question and its own timer with the extra time
+ */
+const applyDeviceLifelines = (state, channel, deviceId) => {
+  if (!state?.gameState) {
+    return state;
+  }
+
+  const lifelines = buildDeviceLifelines(channel, deviceId);
+  const { currentQuestionIndex } = channel.gameState;
+
+  return {
+    ...state,
+    gameState: {
+      ...state.gameState,
+      questions: state.gameState.questions.map((question, index) =>
+        index === currentQuestionIndex && lifelines.removedOptions
+          ? { ...question, removedOptions: lifelines.removedOptions }
+          : question
+      ),
+      timerRemaining: getDeviceTimerRemaining(channel, deviceId),
+      questionDeadline: getDeviceDeadline(channel, deviceId),
+      lifelines,
+    },
+  };
+};
+
+/**
+ * Lifelines in the state shared by every guest: the quotas of a device that used none, and
+ * the uses left of each device that already used some
+ */
+const applySharedLifelines = (state, channel) => {
+  if (!state?.gameState) {
+    return state;
+  }
+
+  const usage = channel.gameState.lifelines || {};
+  return {
+    ...state,
+    gameState: {
+      ...state.gameState,
+      lifelines: {
+        remaining: getRemainingLifelines(channel.gameSettings?.lifelines),
+        used: [],
+        removedOptions: null,
+      },
+      lifelinesRemaining: Object.fromEntries(
+        Object.keys(usage).map((deviceId) => [
+          deviceId,
+          getRemainingLifelines(channel.gameSettings?.lifelines, usage[deviceId]),
+        ])
+      ),
+    },
+  };
+};
+
+const createGameState = () => ({
+  questions: [],
+  currentQuestionIndex: 0,
+  questionStartTime: null,
+  timerRemaining: 60,
+  timerInterval: null,
+  autoAdvanceTimeout: null,
+  autoAdvanceAt: null,
+  answers: new Map(),
+  startedAt: null,
+  previousPositions: {}, // deviceId -> position in the last question-results
+  tiebreakerQuestions: null, // sent with load-questions for sudden death
+  tiebreaker: null, // { deviceIds, startIndex, round } while sudden death is running
+  lifelines: {}, // deviceId -> [{ lifeline, questionIndex, removedOptions? }]
+  overtimeRemaining: null, // seconds left for devices that used extraTime once the timer ran out
+  lastTickAt: null,
+  isPaused: false,
+  pausedAt: null,
+  pauseReason: null, // "admin" or "admin_disconnected"
+  resumeTimers: null, // { nextTickMs, autoAdvanceMs } kept while paused
+  isRevealed: false,
+  isShowingResults: false,
+});
+
+/**
+ * Summarizes where the channel is in the game flow
+ */
+const getChannelPhase = (channel) => {
+  if (!channel.isGameStarted) {
+    return channel.isVotingClosed ? "voting_closed" : "lobby";
+  }
+  if (channel.gameState.isShowingResults) {
+    return "finished";
+  }
+  if (channel.gameState.questions.length === 0) {
+    return "loading_questions";
+  }
+  return channel.gameState.isRevealed ? "revealed" : "question";
+};
+
+const getChannelState = (channelId, options = {}) => {
   const devices = getChannelDevices(channelId);
   const channel = channels.get(channelId);
   const categoryTotals = getCategoryTotals(channelId).slice(0, 10);
@@ -171,9 +899,16 @@ const getChannelState = (channelId) => {
 
   return {
     channelId,
+    serverTime: Date.now(),
     devices,
     totalDevices: devices.length,
     adminId: channel?.adminId || null,
+    adminDisconnectedAt: channel?.adminDisconnectedAt || null,
+    teams: buildTeamsPayload(channel),
+    isLocked: Boolean(channel?.isLocked),
+    hasPassword: Boolean(channel?.passwordHash),
+    maxDevices: channel?.maxDevices || MAX_CHANNEL_DEVICES,
+    seriesId: channel?.seriesId || null,
     categoryTotals,
     maxCategorySelections: channel?.gameSettings?.maxCategorySelections || MAX_CATEGORY_SELECTIONS,
     gameSettings: channel?.gameSettings || null,
@@ -181,17 +916,16 @@ const getChannelState = (channelId) => {
     isGameStarted: Boolean(channel?.isGameStarted),
     gameState: channel?.gameState
       ? {
-          questions: channel.gameState.questions.map((q) => ({
-            id: q.id,
-            question: q.question,
-            options: q.options,
-            difficulty: q.difficulty,
-            points: q.points,
-            category: q.category,
-            correctAnswer: q.correctAnswer,
-          })),
+          questions: buildVisibleQuestions(channel, channel.gameState.questions, options),
+          totalQuestions: channel.gameState.questions.length,
           currentQuestionIndex: channel.gameState.currentQuestionIndex,
-          timerRemaining: channel.gameState.timerRemaining,
+          isRevealed: Boolean(channel.gameState.isRevealed),
+          autoAdvanceAt: channel.gameState.autoAdvanceAt || null,
+          timerRemaining: getTimerRemaining(channel),
+          overtimeRemaining: channel.gameState.overtimeRemaining ?? null,
+          questionDeadline: getQuestionDeadline(channel),
+          isPaused: Boolean(channel.gameState.isPaused),
+          pauseReason: channel.gameState.pauseReason || null,
           isShowingResults: channel.gameState.isShowingResults,
           answeredGuestsCount: answerStats.answeredCount,
           totalGuests: answerStats.totalGuests,
@@ -201,34 +935,703 @@ const getChannelState = (channelId) => {
   };
 };
 
-const broadcastChannelUpdate = (channelId) => {
+/**
+ * Converts a channel (Maps, Sets and timers) into a plain object that can be stored
+ */
+const serializeChannel = (channelId) => {
   const channel = channels.get(channelId);
-  if (!channel) return;
+  const { gameState } = channel;
 
-  // If multilingual questions exist, send personalized updates to each device
-  if (channel.gameState?.questionsByLocale) {
-    console.log(`[${new Date().toISOString()}] Broadcasting multilingual questions to channel ${channelId}`);
-    const devices = Array.from(channel.devices || []);
-    devices.forEach((deviceId) => {
-      const device = connectedDevices.get(deviceId);
-      if (device && device.socketId) {
-        const deviceLocale = device.locale || "pt-BR";
-        console.log(`  - Sending ${deviceLocale} questions to device ${deviceId}`);
-        const personalizedState = getChannelStateForLocale(channelId, deviceLocale);
-        const socket = io.sockets.sockets.get(device.socketId);
-        if (socket) {
-          socket.emit("channel-update", personalizedState);
-        }
-      }
-    });
-  } else {
-    // Legacy: broadcast same state to all
+  return {
+    channelId,
+    adminId: channel.adminId,
+    adminDisconnectedAt: channel.adminDisconnectedAt || null,
+    hostMigration: Boolean(channel.hostMigration),
+    stateVersions: channel.stateVersions || {},
+    isLocked: Boolean(channel.isLocked),
+    passwordHash: channel.passwordHash || null,
+    maxDevices: channel.maxDevices || MAX_CHANNEL_DEVICES,
+    seriesId: channel.seriesId || null,
+    teams: channel.teams || [],
+    devices: Array.from(channel.devices)
+      .map((deviceId) => connectedDevices.get(deviceId))
+      .filter((device) => device != null)
+      .map((device) => ({
+        id: device.id,
+        socketId: device.socketId,
+        isActive: Boolean(device.isActive),
+        connectedAt: device.connectedAt,
+        role: device.role,
+        displayName: device.displayName,
+        isReady: Boolean(device.isReady),
+        locale: device.locale,
+        teamId: device.teamId || null,
+      })),
+    votes: Array.from(channel.votes || []).map(([deviceId, selection]) => [
+      deviceId,
+      Array.from(selection),
+    ]),
+    isVotingClosed: Boolean(channel.isVotingClosed),
+    isGameStarted: Boolean(channel.isGameStarted),
+    gameSettings: channel.gameSettings || null,
+    usedQuestionIds: channel.usedQuestionIds || [],
+    gameState: {
+      questions: gameState.questions,
+      questionsByLocale: gameState.questionsByLocale || null,
+      currentQuestionIndex: gameState.currentQuestionIndex,
+      questionStartTime: gameState.questionStartTime,
+      timerRemaining: getTimerRemaining(channel),
+      answers: Array.from(gameState.answers),
+      guestSelections: Array.from(gameState.guestSelections || []),
+      startedAt: gameState.startedAt || null,
+      previousPositions: gameState.previousPositions || {},
+      tiebreakerQuestions: gameState.tiebreakerQuestions || null,
+      tiebreaker: gameState.tiebreaker || null,
+      lifelines: gameState.lifelines || {},
+      overtimeRemaining: gameState.overtimeRemaining ?? null,
+      isPaused: Boolean(gameState.isPaused),
+      pausedAt: gameState.pausedAt || null,
+      pauseReason: gameState.pauseReason || null,
+      resumeTimers: gameState.resumeTimers || null,
+      isRevealed: Boolean(gameState.isRevealed),
+      isShowingResults: Boolean(gameState.isShowingResults),
+    },
+    savedAt: Date.now(),
+  };
+};
+
+/**
+ * Rebuilds a channel and its member devices from a snapshot, either read from disk or
+ * received from another instance. Timers already running on this instance are kept.
+ */
+const hydrateChannel = (snapshot) => {
+  const { channelId } = snapshot;
+  const existing = channels.get(channelId);
+  const saved = snapshot.gameState;
+
+  const gameState = {
+    ...createGameState(),
+    questions: saved.questions || [],
+    currentQuestionIndex: saved.currentQuestionIndex,
+    questionStartTime: saved.questionStartTime ?? null,
+    timerRemaining: saved.timerRemaining,
+    timerInterval: existing?.gameState?.timerInterval || null,
+    autoAdvanceTimeout: existing?.gameState?.autoAdvanceTimeout || null,
+    autoAdvanceAt: existing?.gameState?.autoAdvanceAt || null,
+    answers: new Map(saved.answers || []),
+    guestSelections: new Set(saved.guestSelections || []),
+    startedAt: saved.startedAt || null,
+    previousPositions: saved.previousPositions || {},
+    tiebreakerQuestions: saved.tiebreakerQuestions || null,
+    tiebreaker: saved.tiebreaker || null,
+    lifelines: saved.lifelines || {},
+    overtimeRemaining: saved.overtimeRemaining ?? null,
+    lastTickAt: existing?.gameState?.lastTickAt || null,
+    isPaused: Boolean(saved.isPaused),
+    pausedAt: saved.pausedAt || null,
+    pauseReason: saved.pauseReason || null,
+    resumeTimers: saved.resumeTimers || null,
+    isRevealed: Boolean(saved.isRevealed),
+    isShowingResults: Boolean(saved.isShowingResults),
+  };
+  if (saved.questionsByLocale) {
+    gameState.questionsByLocale = saved.questionsByLocale;
+  }
+
+  const channel = {
+    adminId: snapshot.adminId,
+    hostMigration: Boolean(snapshot.hostMigration),
+    // Nunca voltar uma versão: mensagens já enviadas podem ser mais novas que o snapshot
+    stateVersions: Object.fromEntries(
+      Object.entries({ ...snapshot.stateVersions, ...existing?.stateVersions }).map(
+        ([origin, version]) => [origin, Math.max(version, snapshot.stateVersions?.[origin] || 0)]
+      )
+    ),
+    isLocked: Boolean(snapshot.isLocked),
+    passwordHash: snapshot.passwordHash || null,
+    maxDevices: snapshot.maxDevices || MAX_CHANNEL_DEVICES,
+    seriesId: snapshot.seriesId || null,
+    teams: snapshot.teams || [],
+    adminGraceTimeout: existing?.adminGraceTimeout || null,
+    adminDisconnectedAt: snapshot.adminDisconnectedAt || null,
+    devices: new Set(snapshot.devices.map((device) => device.id)),
+    votes: new Map(
+      (snapshot.votes || []).map(([deviceId, selection]) => [deviceId, new Set(selection)])
+    ),
+    isVotingClosed: Boolean(snapshot.isVotingClosed),
+    isGameStarted: Boolean(snapshot.isGameStarted),
+    gameSettings: snapshot.gameSettings || null,
+    usedQuestionIds: snapshot.usedQuestionIds || [],
+    gameState,
+  };
+  channels.set(channelId, channel);
+
+  // Dispositivos que saíram do canal em outra instância
+  existing?.devices.forEach((deviceId) => {
+    const device = connectedDevices.get(deviceId);
+    if (!channel.devices.has(deviceId) && device?.channel === channelId) {
+      device.channel = null;
+      device.role = "guest";
+      device.isReady = false;
+    }
+  });
+
+  snapshot.devices.forEach((device) => {
+    connectedDevices.set(device.id, {
+      ...connectedDevices.get(device.id),
+      ...device,
+      channel: channelId,
+    });
+  });
+
+  return channel;
+};
+
+/**
+ * Removes a channel deleted by another instance from the local replica
+ */
+const dropChannel = (channelId) => {
+  const channel = channels.get(channelId);
+  if (!channel) return;
+
+  clearGameTimers(channel);
+  clearAdminGrace(channel);
+  channel.devices.forEach((deviceId) => {
+    const device = connectedDevices.get(deviceId);
+    if (device?.channel === channelId) {
+      device.channel = null;
+      device.role = "guest";
+      device.isReady = false;
+    }
+  });
+  channels.delete(channelId);
+};
+
+/**
+ * Records a change of the channel: shares it through the state store and schedules
+ * a snapshot on disk
+ */
+const saveChannel = (channelId) => {
+  stateStore.saveChannel(channelId);
+  persistChannel(channelId);
+};
+
+/**
+ * Schedules a snapshot of the channel. Bursts of changes (e.g. timer ticks) are coalesced.
+ */
+const persistChannel = (channelId) => {
+  if (pendingPersists.has(channelId)) return;
+
+  pendingPersists.set(
+    channelId,
+    setTimeout(() => {
+      pendingPersists.delete(channelId);
+      if (channels.has(channelId)) {
+        persistence.save(channelId, serializeChannel(channelId));
+      }
+    }, PERSIST_DEBOUNCE_MS)
+  );
+};
+
+/**
+ * Changes a channel through the state store, which shares only what `mutate` changed
+ * with the other instances. Returns what `mutate` returned.
+ */
+const updateChannel = (channelId, mutate) => {
+  const result = stateStore.updateChannel(channelId, mutate);
+  persistChannel(channelId);
+  return result;
+};
+
+const forgetChannel = (channelId) => {
+  clearTimeout(pendingPersists.get(channelId));
+  pendingPersists.delete(channelId);
+  clearTimeout(pendingUpdates.get(channelId));
+  pendingUpdates.delete(channelId);
+  persistence.remove(channelId);
+  stateStore.deleteChannel(channelId);
+};
+
+/**
+ * Every message of the state protocol (channel-update and the delta events) carries the next
+ * version of the channel on this instance, with the instance as `origin`. Each instance counts
+ * its own messages (two instances never send the same version), so clients keep the last
+ * version per origin and send request-resync when one is skipped.
+ */
+const nextStateVersion = (channel) => {
+  const version = (channel.stateVersions?.[instanceId] || 0) + 1;
+  channel.stateVersions = { ...channel.stateVersions, [instanceId]: version };
+  return { origin: instanceId, version };
+};
+
+/**
+ * Versions of a full state: the latest of this instance and `versions`, the latest of every origin
+ */
+const getStateVersions = (channel) => ({
+  origin: instanceId,
+  version: channel.stateVersions?.[instanceId] || 0,
+  versions: { ...channel.stateVersions },
+});
+
+/**
+ * Full channel state as one device sees it: its locale, admin view and lifelines,
+ * with the latest versions sent to the channel.
+ */
+const buildDeviceChannelState = (channelId, deviceId) => {
+  const channel = channels.get(channelId);
+  const device = connectedDevices.get(deviceId);
+  const state = applyDeviceLifelines(
+    getChannelStateForLocale(channelId, device?.locale || "pt-BR", {
+      isAdmin: deviceId === channel.adminId,
+    }),
+    channel,
+    deviceId
+  );
+  return { ...state, ...getStateVersions(channel) };
+};
+
+/**
+ * Schedules a full channel-update. Changes within UPDATE_COALESCE_MS are sent together.
+ */
+const broadcastChannelUpdate = (channelId) => {
+  if (!channels.has(channelId)) return;
+
+  saveChannel(channelId);
+  if (pendingUpdates.has(channelId)) return;
+
+  pendingUpdates.set(
+    channelId,
+    setTimeout(() => {
+      pendingUpdates.delete(channelId);
+      flushChannelUpdate(channelId);
+    }, UPDATE_COALESCE_MS)
+  );
+};
+
+/**
+ * Sends the channel-update right away (with any pending changes). Events about a change call
+ * it first, so clients get the state before the event that describes it.
+ */
+const sendChannelUpdateNow = (channelId) => {
+  clearTimeout(pendingUpdates.get(channelId));
+  pendingUpdates.delete(channelId);
+  flushChannelUpdate(channelId);
+};
+
+const flushChannelUpdate = (channelId) => {
+  const channel = channels.get(channelId);
+  if (!channel) return;
+
+  nextStateVersion(channel);
+  const versions = getStateVersions(channel);
+  saveChannel(channelId);
+
+  // If multilingual questions exist, send personalized updates to each device
+  if (channel.gameState?.questionsByLocale) {
+    metrics.broadcasts.inc({ mode: "multilingual" });
+    console.log(`[${new Date().toISOString()}] Broadcasting multilingual questions to channel ${channelId}`);
+    const devices = Array.from(channel.devices || []);
+    devices.forEach((deviceId) => {
+      const device = connectedDevices.get(deviceId);
+      if (device && device.socketId) {
+        console.log(`  - Sending ${device.locale || "pt-BR"} questions to device ${deviceId}`);
+        const personalizedState = buildDeviceChannelState(channelId, deviceId);
+        metrics.channelUpdateBytes.observe(
+          { mode: "multilingual" },
+          Buffer.byteLength(JSON.stringify(personalizedState))
+        );
+        io.to(device.socketId).emit("channel-update", personalizedState);
+      }
+    });
+  } else {
+    // Legacy: broadcast same state to all guests, full state only to the admin
     console.log(`[${new Date().toISOString()}] Broadcasting same state to all devices in channel ${channelId}`);
-    io.to(channelId).emit("channel-update", getChannelState(channelId));
+    metrics.broadcasts.inc({ mode: "legacy" });
+    const guestState = { ...applySharedLifelines(getChannelState(channelId), channel), ...versions };
+    metrics.channelUpdateBytes.observe({ mode: "legacy" }, Buffer.byteLength(JSON.stringify(guestState)));
+
+    const adminSocketId = connectedDevices.get(channel.adminId)?.socketId;
+    if (adminSocketId) {
+      const adminState = { ...getChannelState(channelId, { isAdmin: true }), ...versions };
+      metrics.channelUpdateBytes.observe({ mode: "legacy" }, Buffer.byteLength(JSON.stringify(adminState)));
+      io.to(adminSocketId).emit("channel-update", adminState);
+    }
+
+    // Só quem tem lifeline na pergunta atual recebe a própria cópia (opções ocultas, tempo extra);
+    // o admin já recebeu o estado completo acima
+    const personalized = Object.keys(channel.gameState?.lifelines || {})
+      .filter((deviceId) => deviceId !== channel.adminId && hasActiveLifelines(channel, deviceId))
+      .map((deviceId) => connectedDevices.get(deviceId))
+      .filter((device) => device?.socketId && device.channel === channelId);
+    personalized.forEach((device) => {
+      io.to(device.socketId).emit(
+        "channel-update",
+        applyDeviceLifelines(guestState, channel, device.id)
+      );
+    });
+
+    io.to(channelId)
+      .except([adminSocketId, ...personalized.map((device) => device.socketId)].filter(Boolean))
+      .emit("channel-update", guestState);
+  }
+
+  sendPresenterViews(channelId);
+};
+
+/**
+ * Delta event: one second less on the question timer. Devices with extra time get their own value.
+ * Ticks carry absolute values, so they keep the current version instead of raising it and are
+ * neither stored nor replicated (the other instances compute the timer from the deadline).
+ */
+const emitTimerTick = (channelId) => {
+  const channel = channels.get(channelId);
+  const { currentQuestionIndex, timerRemaining, overtimeRemaining } = channel.gameState;
+  const { origin, version } = getStateVersions(channel);
+  const payload = {
+    channelId,
+    origin,
+    version,
+    questionIndex: currentQuestionIndex,
+    timerRemaining,
+    overtimeRemaining: overtimeRemaining ?? null,
+    questionDeadline: getQuestionDeadline(channel),
+    serverTime: Date.now(),
+  };
+  metrics.deltaEvents.inc({ event: "timer-tick" });
+
+  const extended = getExtendedDeviceIds(channel)
+    .map((deviceId) => connectedDevices.get(deviceId))
+    .filter((device) => device?.socketId);
+  extended.forEach((device) => {
+    io.to(device.socketId).emit("timer-tick", {
+      ...payload,
+      timerRemaining: getDeviceTimerRemaining(channel, device.id),
+      questionDeadline: getDeviceDeadline(channel, device.id),
+    });
+  });
+  // O telão também recebe o tick e atualiza o timer da presenter-view sem reconstruí-la
+  io.to(channelId)
+    .except(extended.map((device) => device.socketId))
+    .emit("timer-tick", payload);
+};
+
+/**
+ * Delta event: how many guests answered or are selecting an answer
+ */
+const emitAnswerCount = (channelId) => {
+  const channel = channels.get(channelId);
+  const questionIndex = channel.gameState.currentQuestionIndex;
+  const { answeredCount, totalGuests } = getAnsweredGuestsCount(channel, questionIndex);
+
+  io.to(channelId).emit("answer-count", {
+    channelId,
+    ...nextStateVersion(channel),
+    questionIndex,
+    answeredGuestsCount: answeredCount,
+    totalGuests,
+    selectedGuestsCount: channel.gameState.guestSelections?.size || 0,
+  });
+  saveChannel(channelId);
+  metrics.deltaEvents.inc({ event: "answer-count" });
+  sendPresenterViews(channelId);
+};
+
+/**
+ * Delta event: a device of the channel changed (ready, active, locale)
+ */
+const emitDeviceChanged = (channelId, deviceId) => {
+  const channel = channels.get(channelId);
+  const device = connectedDevices.get(deviceId);
+  if (!channel || !device) return;
+
+  io.to(channelId).emit("device-changed", {
+    channelId,
+    ...nextStateVersion(channel),
+    device: buildDevicePayload(device),
+  });
+  saveChannel(channelId);
+  metrics.deltaEvents.inc({ event: "device-changed" });
+};
+
+/**
+ * Answers given to a question, as [{ deviceId, answer }]
+ */
+const getQuestionAnswers = (channel, questionIndex) => {
+  const result = [];
+  channel.gameState.answers.forEach((answers, deviceId) => {
+    const answer = answers.find((a) => a.questionIndex === questionIndex);
+    if (answer) {
+      result.push({ deviceId, answer });
+    }
+  });
+  return result;
+};
+
+/**
+ * Answer values submitted to a question, for the distribution. Skips and the copies of a
+ * captain's answer given to teammates (captain mode) are left out.
+ */
+const getSubmittedValues = (channel, questionIndex) =>
+  getQuestionAnswers(channel, questionIndex)
+    .filter(({ answer }) => !answer.skipped && !answer.sharedFrom)
+    .map(({ answer }) => answer.answer ?? answer.answerIndex);
+
+/**
+ * Points of every guest so far, best first
+ */
+const buildLiveStandings = (channel) =>
+  Array.from(channel.devices)
+    .map((deviceId) => connectedDevices.get(deviceId))
+    .filter((device) => device?.role === "guest")
+    .map((device) => {
+      const answers = channel.gameState.answers.get(device.id) || [];
+      return {
+        deviceId: device.id,
+        displayName: device.displayName || device.id,
+        teamId: device.teamId || null,
+        totalPoints: answers.reduce((sum, a) => sum + a.points, 0),
+        correctAnswers: answers.filter((a) => a.isCorrect && !a.isTiebreaker).length,
+      };
+    })
+    .sort((a, b) => b.totalPoints - a.totalPoints)
+    .map((entry, index) => ({ ...entry, position: index + 1 }));
+
+/**
+ * Big-screen view: the current question in the presenter's locale, how many answered,
+ * the answer distribution once revealed and the live standings
+ */
+const buildPresenterView = (channelId, locale) => {
+  const channel = channels.get(channelId);
+  const { gameState } = channel;
+  const questions = gameState.questionsByLocale?.[locale] || gameState.questions;
+  const question = questions[gameState.currentQuestionIndex];
+  const isRevealed = Boolean(gameState.isRevealed || gameState.isShowingResults);
+
+  const submitted = getSubmittedValues(channel, gameState.currentQuestionIndex);
+
+  return {
+    channelId,
+    phase: getChannelPhase(channel),
+    questionIndex: gameState.currentQuestionIndex,
+    totalQuestions: gameState.questions.length,
+    question: question ? buildQuestionPayload(question, { includeAnswer: isRevealed }) : null,
+    timerRemaining: getTimerRemaining(channel),
+    questionDeadline: getQuestionDeadline(channel),
+    serverTime: Date.now(),
+    isPaused: Boolean(gameState.isPaused),
+    ...getAnsweredGuestsCount(channel, gameState.currentQuestionIndex),
+    distribution: question && isRevealed ? buildAnswerDistribution(question, submitted) : null,
+    standings: buildLiveStandings(channel).slice(0, PRESENTER_STANDINGS_SIZE),
+    teams: buildTeamsPayload(channel),
+  };
+};
+
+/**
+ * Results step of a revealed question, sent to every device in its locale: how many picked
+ * each answer, the fastest correct responders and the leaderboard with the positions
+ * gained or lost since the previous question
+ */
+const emitQuestionResults = (channelId) => {
+  const channel = channels.get(channelId);
+  const { gameState } = channel;
+  const questionIndex = gameState.currentQuestionIndex;
+  const question = gameState.questions[questionIndex];
+  const questionAnswers = getQuestionAnswers(channel, questionIndex);
+
+  const fastestCorrect = questionAnswers
+    .filter(({ answer }) => answer.isCorrect && !answer.sharedFrom)
+    .sort((a, b) => a.answer.timeSpent - b.answer.timeSpent)
+    .slice(0, FASTEST_CORRECT_SIZE)
+    .map(({ deviceId, answer }) => ({
+      deviceId,
+      displayName: connectedDevices.get(deviceId)?.displayName || deviceId,
+      timeSpent: answer.timeSpent,
+    }));
+
+  const standings = buildLiveStandings(channel);
+  const leaderboard = standings
+    .slice(0, channel.gameSettings?.leaderboardSize || DEFAULT_LEADERBOARD_SIZE)
+    .map((entry) => {
+      const previousPosition = gameState.previousPositions[entry.deviceId] || null;
+      return {
+        ...entry,
+        previousPosition,
+        positionChange: previousPosition ? previousPosition - entry.position : 0,
+      };
+    });
+  gameState.previousPositions = Object.fromEntries(
+    standings.map((entry) => [entry.deviceId, entry.position])
+  );
+
+  const results = {
+    questionIndex,
+    distribution: buildAnswerDistribution(question, getSubmittedValues(channel, questionIndex)),
+    ...getAnsweredGuestsCount(channel, questionIndex),
+    fastestCorrect,
+    lifelines: Object.keys(gameState.lifelines || {})
+      .map((deviceId) => ({
+        deviceId,
+        displayName: connectedDevices.get(deviceId)?.displayName || deviceId,
+        lifelines: getLifelinesUsedOn(channel, deviceId, questionIndex).map((u) => u.lifeline),
+      }))
+      .filter((entry) => entry.lifelines.length > 0),
+    leaderboard,
+  };
+
+  // Uma mensagem por idioma, com o texto da pergunta traduzido
+  getSocketsByLocale(channel).forEach((socketIds, locale) => {
+    const localized = gameState.questionsByLocale?.[locale]?.[questionIndex] || question;
+    io.to(socketIds).emit("question-results", {
+      ...results,
+      question: buildQuestionPayload(localized, { includeAnswer: true }),
+    });
+  });
+};
+
+const sendPresenterViews = (channelId) => {
+  const channel = channels.get(channelId);
+  channel.devices.forEach((deviceId) => {
+    const device = connectedDevices.get(deviceId);
+    if (device?.role === "presenter" && device.socketId) {
+      io.to(device.socketId).emit(
+        "presenter-view",
+        buildPresenterView(channelId, device.locale || "pt-BR")
+      );
+    }
+  });
+};
+
+/**
+ * The same question in the other locales of the channel (their free-text answers also count)
+ */
+const getQuestionVariants = (channel, questionIndex) =>
+  Object.values(channel.gameState.questionsByLocale || {})
+    .map((questions) => questions[questionIndex])
+    .filter((question) => question != null);
+
+const getAnswerResultLabel = (answer) => {
+  if (answer.isPending) return "pending";
+  if (answer.skipped) return "skipped";
+  if (answer.isCorrect) return "correct";
+  return answer.credit > 0 ? "partial" : "incorrect";
+};
+
+const buildAnswerResult = (question, deviceId, answer) => ({
+  questionIndex: answer.questionIndex,
+  type: getQuestionType(question),
+  isCorrect: answer.isCorrect,
+  credit: answer.credit === null ? null : Math.round(answer.credit * 100) / 100,
+  isPending: answer.isPending,
+  ...(answer.distance !== undefined ? { distance: answer.distance } : {}),
+  points: answer.points,
+  timeSpent: answer.timeSpent,
+  breakdown: answer.breakdown,
+  lifelines: answer.lifelines || [],
+  ...(answer.skipped ? { skipped: true } : {}),
+  deviceId,
+});
+
+/**
+ * Grades the answers of the current numeric question against each other (closest wins).
+ * Returns the settled answers as [deviceId, answer].
+ */
+const settleNumericAnswers = (channelId) => {
+  const channel = channels.get(channelId);
+  const { currentQuestionIndex, questions, answers } = channel.gameState;
+  const question = questions[currentQuestionIndex];
+
+  const pending = new Map();
+  answers.forEach((deviceAnswers, deviceId) => {
+    const answer = deviceAnswers.find((a) => a.questionIndex === currentQuestionIndex);
+    if (answer?.isPending) {
+      pending.set(deviceId, answer);
+    }
+  });
+  if (pending.size === 0) return [];
+
+  const grades = gradeNumericAnswers(
+    question,
+    new Map(Array.from(pending).map(([deviceId, answer]) => [deviceId, answer.answer]))
+  );
+
+  pending.forEach((answer, deviceId) => {
+    const { isCorrect, credit, distance } = grades.get(deviceId);
+    Object.assign(
+      answer,
+      { isCorrect, credit, distance, isPending: false },
+      answer.isTiebreaker
+        ? {}
+        : scoreAnswer(channel, question, {
+            isCorrect,
+            credit,
+            elapsedMs: answer.timeSpent * 1000,
+            previousStreak: getPreviousStreak(answers.get(deviceId), currentQuestionIndex),
+            pointsMultiplier: answer.lifelines?.includes("doublePoints") ? 2 : 1,
+          })
+    );
+    metrics.answers.inc({ result: getAnswerResultLabel(answer) });
+  });
+  return Array.from(pending);
+};
+
+/**
+ * Sockets of the channel grouped by the locale of their questions (pt-BR without a translation)
+ */
+const getSocketsByLocale = (channel) => {
+  const socketsByLocale = new Map();
+  channel.devices.forEach((deviceId) => {
+    const device = connectedDevices.get(deviceId);
+    if (device?.socketId) {
+      const locale = channel.gameState.questionsByLocale?.[device.locale] ? device.locale : "pt-BR";
+      socketsByLocale.set(locale, [...(socketsByLocale.get(locale) || []), device.socketId]);
+    }
+  });
+  return socketsByLocale;
+};
+
+/**
+ * Ends the answering phase of the current question and sends the correct option to the channel,
+ * in the locale of each device.
+ */
+const revealQuestion = (channelId) => {
+  const channel = channels.get(channelId);
+  if (!channel || !channel.gameState || channel.gameState.isRevealed) return;
+
+  const { currentQuestionIndex, questions } = channel.gameState;
+  const question = questions[currentQuestionIndex];
+  if (!question) return;
+
+  if (channel.gameState.timerInterval) {
+    clearInterval(channel.gameState.timerInterval);
+    channel.gameState.timerInterval = null;
   }
+
+  // Congela o timer: nesta instância ele pode não ter recebido os ticks
+  channel.gameState.timerRemaining = getTimerRemaining(channel);
+  channel.gameState.isRevealed = true;
+  const settled = getQuestionType(question) === "numeric" ? settleNumericAnswers(channelId) : [];
+
+  console.log(
+    `[${new Date().toISOString()}] Revealing answer for Q${currentQuestionIndex} in channel ${channelId}`
+  );
+
+  sendChannelUpdateNow(channelId);
+  settled.forEach(([deviceId, answer]) => {
+    io.to(channelId).emit("answer-result", buildAnswerResult(question, deviceId, answer));
+  });
+  // Cada device recebe a resposta certa no idioma das suas perguntas
+  getSocketsByLocale(channel).forEach((socketIds, locale) => {
+    const localized =
+      channel.gameState.questionsByLocale?.[locale]?.[currentQuestionIndex] || question;
+    io.to(socketIds).emit("question-revealed", {
+      questionIndex: currentQuestionIndex,
+      correctAnswer: localized.correctAnswer,
+    });
+  });
+  emitQuestionResults(channelId);
 };
 
-const getChannelStateForLocale = (channelId, locale) => {
+const getChannelStateForLocale = (channelId, locale, options = {}) => {
   const channel = channels.get(channelId);
   if (!channel) {
     return null;
@@ -241,222 +1644,1307 @@ const getChannelStateForLocale = (channelId, locale) => {
   const questionsForLocale =
     channel.gameState?.questionsByLocale?.[locale] || channel.gameState?.questions || [];
 
-  const answerStats = channel?.gameState
-    ? getAnsweredGuestsCount(channel, channel.gameState.currentQuestionIndex)
-    : { answeredCount: 0, totalGuests: 0 };
+  const answerStats = channel?.gameState
+    ? getAnsweredGuestsCount(channel, channel.gameState.currentQuestionIndex)
+    : { answeredCount: 0, totalGuests: 0 };
+
+  const selectedGuestsCount = channel?.gameState?.guestSelections?.size || 0;
+
+  return {
+    channelId,
+    serverTime: Date.now(),
+    devices,
+    totalDevices: devices.length,
+    adminId: channel.adminId,
+    adminDisconnectedAt: channel.adminDisconnectedAt || null,
+    teams: buildTeamsPayload(channel),
+    isLocked: Boolean(channel.isLocked),
+    hasPassword: Boolean(channel.passwordHash),
+    maxDevices: channel.maxDevices || MAX_CHANNEL_DEVICES,
+    seriesId: channel.seriesId || null,
+    categoryTotals,
+    maxCategorySelections: channel.gameSettings?.maxCategorySelections || MAX_CATEGORY_SELECTIONS,
+    gameSettings: channel.gameSettings || null,
+    isVotingClosed: Boolean(channel?.isVotingClosed),
+    isGameStarted: Boolean(channel?.isGameStarted),
+    gameState: channel?.gameState
+      ? {
+          questions: buildVisibleQuestions(channel, questionsForLocale, options),
+          totalQuestions: channel.gameState.questions.length,
+          currentQuestionIndex: channel.gameState.currentQuestionIndex,
+          isRevealed: Boolean(channel.gameState.isRevealed),
+          autoAdvanceAt: channel.gameState.autoAdvanceAt || null,
+          timerRemaining: getTimerRemaining(channel),
+          overtimeRemaining: channel.gameState.overtimeRemaining ?? null,
+          questionDeadline: getQuestionDeadline(channel),
+          isPaused: Boolean(channel.gameState.isPaused),
+          pauseReason: channel.gameState.pauseReason || null,
+          isShowingResults: channel.gameState.isShowingResults,
+          answeredGuestsCount: answerStats.answeredCount,
+          totalGuests: answerStats.totalGuests,
+          selectedGuestsCount,
+        }
+      : null,
+  };
+};
+
+/**
+ * Uses the name sent with create/join-channel and remembers it in the player profile.
+ * Without one, the device keeps its current name or takes the one of its profile.
+ */
+const applyDisplayName = (device, displayName) => {
+  if (displayName && typeof displayName === "string") {
+    device.displayName = displayName.trim().substring(0, 50);
+    profiles.setDisplayName(device.id, device.displayName);
+  } else if (!device.displayName) {
+    device.displayName = profiles.getForDevice(device.id)?.displayName || null;
+  }
+};
+
+/**
+ * Checks whether a new device may enter the channel. Returns an error code or null.
+ */
+const getJoinError = (channel, password) => {
+  if (channel.passwordHash && !(password && verifyPassword(password, channel.passwordHash))) {
+    return "wrong_password";
+  }
+  if (channel.isLocked) {
+    return "lobby_locked";
+  }
+  if (channel.isGameStarted) {
+    return "game_already_started";
+  }
+  if (channel.devices.size >= (channel.maxDevices || MAX_CHANNEL_DEVICES)) {
+    return "channel_full";
+  }
+  return null;
+};
+
+/**
+ * Stores the questions of a started game (a list, or lists by locale including "pt-BR")
+ * and starts the first question
+ */
+const loadQuestions = (channelId, questions) => {
+  const channel = channels.get(channelId);
+
+  // Check if questions is multilingual (object with locale keys) or single locale array
+  const isMultilingual =
+    typeof questions === "object" &&
+    !Array.isArray(questions) &&
+    questions["pt-BR"] !== undefined;
+
+  if (isMultilingual) {
+    // Store multilingual questions
+    channel.gameState.questionsByLocale = questions;
+    // Use pt-BR as default for validation
+    channel.gameState.questions = questions["pt-BR"];
+    console.log(
+      `Multilingual questions loaded for channel ${channelId}: ${questions["pt-BR"].length} questions`
+    );
+  } else {
+    // Legacy: single locale questions
+    channel.gameState.questions = questions;
+    console.log(`Questions loaded for channel ${channelId}: ${questions.length} questions`);
+  }
+
+  channel.gameState.currentQuestionIndex = 0;
+  channel.gameState.questionStartTime = Date.now();
+  channel.gameState.timerRemaining = channel.gameSettings?.timerDuration || 60;
+  channel.gameState.overtimeRemaining = null;
+  channel.gameState.guestSelections = new Set();
+  channel.gameState.isRevealed = false;
+  channel.gameState.tiebreaker = null;
+  clearAutoAdvance(channel);
+
+  // Iniciar timer sincronizado
+  startQuestionTimer(channelId);
+
+  // Broadcast estado atualizado
+  broadcastChannelUpdate(channelId);
+};
+
+/**
+ * Draws the questions of a channel from the question bank: `questionCount` questions spread
+ * over the `topCategoriesCount` most voted categories, skipping the ones already played in it.
+ */
+const drawQuestionsFromBank = (channelId) => {
+  const channel = channels.get(channelId);
+  const settings = channel.gameSettings || {};
+  const bankCategories = questionBank.listCategories().map(({ name }) => name);
+
+  const votedCategories = getCategoryTotals(channelId)
+    .map(({ name }) => name)
+    .filter((name) => bankCategories.includes(name))
+    .slice(0, settings.topCategoriesCount || DEFAULT_TOP_CATEGORIES_COUNT);
+
+  const drawn = questionBank.draw({
+    categories: votedCategories.length > 0 ? votedCategories : bankCategories,
+    count: settings.questionCount || DEFAULT_QUESTION_COUNT,
+    difficulty: settings.difficulty || null,
+    exclude: new Set(channel.usedQuestionIds || []),
+  });
+
+  channel.usedQuestionIds = [...(channel.usedQuestionIds || []), ...drawn.map((q) => q.id)];
+  console.log(
+    `[${new Date().toISOString()}] Drew ${drawn.length} questions for channel ${channelId} from: ${
+      votedCategories.length > 0 ? votedCategories.join(", ") : "all categories"
+    }`
+  );
+  return questionBank.localize(drawn);
+};
+
+/**
+ * The server picks the questions when the bank has any, unless the admin asked to send its own
+ */
+const usesQuestionBank = (channel) =>
+  questionBank.size() > 0 && channel.gameSettings?.questionSource !== "client";
+
+/**
+ * Team standings from the individual ranking, ordered by total or average points
+ * (`teamScoring`). In captain mode every member has the captain's answers, so only
+ * the captain's are counted.
+ */
+const calculateTeamRanking = (channel, ranking) => {
+  const isCaptainMode = channel.gameSettings?.teamAnswerMode === "captain";
+  const sortBy = channel.gameSettings?.teamScoring === "average" ? "averagePoints" : "totalPoints";
+
+  const standings = (channel.teams || []).map((team) => {
+    const entries = ranking.filter((entry) => entry.teamId === team.id);
+    const counted = isCaptainMode
+      ? [entries.find((entry) => entry.deviceId === team.captainId) || entries[0]].filter(Boolean)
+      : entries;
+
+    const totalPoints = counted.reduce((sum, entry) => sum + entry.totalPoints, 0);
+    const correctAnswers = counted.reduce((sum, entry) => sum + entry.correctAnswers, 0);
+    const totalAnswers = counted.reduce((sum, entry) => sum + entry.totalAnswers, 0);
+
+    return {
+      teamId: team.id,
+      name: team.name,
+      captainId: team.captainId,
+      memberIds: getTeamMembers(channel, team.id),
+      totalPoints,
+      averagePoints: counted.length > 0 ? Math.round(totalPoints / counted.length) : 0,
+      correctAnswers,
+      totalAnswers,
+      accuracy: totalAnswers > 0 ? Math.round((correctAnswers / totalAnswers) * 100) : 0,
+    };
+  });
+
+  standings.sort((a, b) => b[sortBy] - a[sortBy]);
+  standings.forEach((entry, index) => {
+    entry.position = index + 1;
+  });
+  return standings;
+};
+
+/**
+ * Builds the personal snapshot sent to a device that resumes its session: the current
+ * question, remaining time, the answers the server already has for it and its score.
+ */
+const getSessionSnapshot = (channelId, deviceId) => {
+  const channel = channels.get(channelId);
+  const device = connectedDevices.get(deviceId);
+  if (!channel || !device) {
+    return null;
+  }
+
+  const locale = device.locale || "pt-BR";
+  const isAdmin = channel.adminId === deviceId;
+  const gameState = channel.gameState;
+  const questionIndex = gameState.currentQuestionIndex;
+  const questions = gameState.questionsByLocale?.[locale] || gameState.questions || [];
+  const currentQuestion =
+    channel.isGameStarted && !gameState.isShowingResults && questions[questionIndex]
+      ? buildQuestionPayload(questions[questionIndex], {
+          includeAnswer: isAdmin || Boolean(gameState.isRevealed),
+        })
+      : null;
+
+  const answers = (gameState.answers.get(deviceId) || []).map((a) => ({
+    questionIndex: a.questionIndex,
+    answerIndex: a.answerIndex,
+    answer: a.answer,
+    isCorrect: a.isCorrect,
+    credit: a.credit,
+    isPending: Boolean(a.isPending),
+    points: a.points,
+    timeSpent: a.timeSpent,
+    lifelines: a.lifelines || [],
+    skipped: Boolean(a.skipped),
+  }));
+
+  return {
+    channelId,
+    deviceId,
+    role: device.role,
+    displayName: device.displayName || device.id,
+    isReady: Boolean(device.isReady),
+    isGameStarted: Boolean(channel.isGameStarted),
+    questionIndex,
+    currentQuestion,
+    timerRemaining: getDeviceTimerRemaining(channel, deviceId),
+    questionDeadline: getDeviceDeadline(channel, deviceId),
+    serverTime: Date.now(),
+    isPaused: Boolean(gameState.isPaused),
+    isRevealed: Boolean(gameState.isRevealed),
+    hasAnswered: answers.some((a) => a.questionIndex === questionIndex),
+    answers,
+    score: {
+      totalPoints: answers.reduce((sum, a) => sum + a.points, 0),
+      correctAnswers: answers.filter((a) => a.isCorrect).length,
+      totalAnswers: answers.length,
+    },
+    lifelines: buildDeviceLifelines(channel, deviceId),
+    state: buildDeviceChannelState(channelId, deviceId),
+  };
+};
+
+const removeDeviceFromChannel = (deviceId, reason, options = {}) => {
+  const device = connectedDevices.get(deviceId);
+  if (!device || !device.channel) {
+    return;
+  }
+
+  const channelId = device.channel;
+  const channel = channels.get(channelId);
+  if (!channel) {
+    device.channel = null;
+    device.role = "guest";
+    return;
+  }
+
+  assignDeviceToTeam(channel, deviceId, null);
+  channel.devices.delete(deviceId);
+  channel.votes?.delete(deviceId);
+  device.channel = null;
+  device.role = "guest";
+  device.isReady = false;
+
+  if (device.socketId) {
+    io.in(device.socketId).socketsLeave(channelId);
+  }
+
+  if (reason && device.socketId) {
+    io.to(device.socketId).emit("force-leave-channel", {
+      channelId,
+      reason,
+    });
+  }
+
+  if (channel.devices.size === 0) {
+    channels.delete(channelId);
+    forgetChannel(channelId);
+  } else if (!options.suppressUpdate) {
+    broadcastChannelUpdate(channelId);
+  }
+};
+
+const forceCloseChannel = (channelId, reason, { notifyAdmin = false } = {}) => {
+  const channel = channels.get(channelId);
+  if (!channel) {
+    return;
+  }
+
+  console.log(
+    `[${new Date().toISOString()}] Force closing channel ${channelId} (reason: ${reason})`
+  );
+
+  // Limpar timers do jogo se existirem
+  clearGameTimers(channel);
+  clearAdminGrace(channel);
+
+  const members = Array.from(channel.devices);
+
+  members.forEach((deviceId) => {
+    const shouldNotify = deviceId === channel.adminId ? notifyAdmin : true;
+    removeDeviceFromChannel(deviceId, shouldNotify ? reason : undefined, { suppressUpdate: true });
+  });
+
+  channels.delete(channelId);
+  forgetChannel(channelId);
+};
+
+/**
+ * Drops a device's previous channel membership (e.g. a resumable session it never resumed)
+ * before it creates or joins another channel.
+ */
+const leaveCurrentChannel = (deviceId) => {
+  const device = connectedDevices.get(deviceId);
+  const channel = device?.channel ? channels.get(device.channel) : null;
+
+  if (channel && channel.adminId === deviceId) {
+    forceCloseChannel(device.channel, "admin_left");
+  } else {
+    removeDeviceFromChannel(deviceId);
+  }
+};
+
+/**
+ * Removes a device that stayed disconnected for INACTIVE_DEVICE_TIMEOUT_MS
+ */
+const scheduleInactiveDeviceCleanup = (deviceId, socketId) => {
+  setTimeout(() => {
+    const stillConnected = connectedDevices.get(deviceId);
+    if (stillConnected && !stillConnected.isActive && stillConnected.socketId === socketId) {
+      console.log(`[${new Date().toISOString()}] Removing inactive device: ${deviceId}`);
+
+      if (stillConnected.channel) {
+        const channel = channels.get(stillConnected.channel);
+        if (channel && channel.adminId === deviceId) {
+          forceCloseChannel(stillConnected.channel, "admin_inactive_timeout");
+        } else {
+          removeDeviceFromChannel(deviceId);
+        }
+      }
+
+      connectedDevices.delete(deviceId);
+    }
+  }, INACTIVE_DEVICE_TIMEOUT_MS);
+};
+
+const clearAdminGrace = (channel) => {
+  if (channel.adminGraceTimeout) {
+    clearTimeout(channel.adminGraceTimeout);
+  }
+  channel.adminGraceTimeout = null;
+  channel.adminDisconnectedAt = null;
+};
+
+/**
+ * Picks the longest-connected active guest of the channel, if any
+ */
+const findMigrationCandidate = (channel) =>
+  Array.from(channel.devices)
+    .filter((deviceId) => deviceId !== channel.adminId)
+    .map((deviceId) => connectedDevices.get(deviceId))
+    .filter((device) => device && device.isActive && device.role === "guest")
+    .sort((a, b) => a.connectedAt - b.connectedAt)[0] || null;
+
+const promoteToAdmin = (channelId, newAdminId, reason) => {
+  const channel = channels.get(channelId);
+  const newAdmin = connectedDevices.get(newAdminId);
+  if (!channel || !newAdmin) {
+    return;
+  }
+
+  const previousAdminId = channel.adminId;
+  clearAdminGrace(channel);
+
+  channel.adminId = newAdminId;
+  newAdmin.role = "admin";
+  newAdmin.isReady = false;
+  channel.gameState?.guestSelections?.delete(newAdminId);
+
+  console.log(
+    `[${new Date().toISOString()}] Channel ${channelId} admin changed from ${previousAdminId} to ${newAdminId} (reason: ${reason})`
+  );
+
+  removeDeviceFromChannel(previousAdminId, undefined, { suppressUpdate: true });
+
+  sendChannelUpdateNow(channelId);
+  io.to(channelId).emit("admin-changed", {
+    channelId,
+    previousAdminId,
+    adminId: newAdminId,
+    reason,
+  });
+};
+
+/**
+ * Gives a disconnected admin ADMIN_GRACE_PERIOD_MS to come back before the channel is
+ * handed over to another device (host migration) or closed.
+ */
+const startAdminGrace = (channelId) => {
+  const channel = channels.get(channelId);
+  if (!channel || channel.adminGraceTimeout) {
+    return;
+  }
+
+  const adminId = channel.adminId;
+  channel.adminDisconnectedAt = Date.now();
+
+  console.log(
+    `[${new Date().toISOString()}] Admin ${adminId} disconnected from channel ${channelId}, waiting ${ADMIN_GRACE_PERIOD_MS}ms`
+  );
+
+  sendChannelUpdateNow(channelId);
+  io.to(channelId).emit("admin-disconnected", {
+    channelId,
+    adminId,
+    gracePeriodMs: ADMIN_GRACE_PERIOD_MS,
+  });
+
+  // Pausa automática opcional: o jogo espera o admin (ou o novo admin) chamar resume-game
+  if (channel.gameSettings?.pauseOnAdminDisconnect && canPauseGame(channel)) {
+    pauseGame(channelId, "admin_disconnected");
+  }
+
+  channel.adminGraceTimeout = setTimeout(() => {
+    const currentChannel = channels.get(channelId);
+    if (!currentChannel) {
+      return;
+    }
+    currentChannel.adminGraceTimeout = null;
+
+    // O admin pode ter voltado por outra instância
+    if (currentChannel.adminId !== adminId || !currentChannel.adminDisconnectedAt) {
+      return;
+    }
+
+    const candidate = currentChannel.hostMigration ? findMigrationCandidate(currentChannel) : null;
+    if (candidate) {
+      promoteToAdmin(channelId, candidate.id, "admin_disconnected");
+    } else {
+      forceCloseChannel(channelId, "admin_disconnected");
+    }
+  }, ADMIN_GRACE_PERIOD_MS);
+};
+
+/**
+ * Puts an admin that came back within the grace period in control of its channel again
+ */
+const reclaimAdmin = (channelId, device, socket) => {
+  const channel = channels.get(channelId);
+  if (!channel || channel.adminId !== device.id) {
+    return false;
+  }
+
+  clearAdminGrace(channel);
+
+  channel.devices.add(device.id);
+  device.channel = channelId;
+  device.socketId = socket.id;
+  device.role = "admin";
+  device.isActive = true;
+  socket.join(channelId);
+
+  console.log(`[${new Date().toISOString()}] Admin ${device.id} reclaimed channel ${channelId}`);
+
+  sendChannelUpdateNow(channelId);
+  io.to(channelId).emit("admin-reconnected", { channelId, adminId: device.id });
+  return true;
+};
+
+/**
+ * Counts the question timer down once per second. After a pause, `firstTickMs` is what was
+ * left of the interrupted second, so the countdown continues from the exact remaining time.
+ */
+const startQuestionTimer = (channelId, { firstTickMs = 1000 } = {}) => {
+  const channel = channels.get(channelId);
+  if (!channel || !channel.gameState) return;
+
+  // Limpar timer anterior se existir
+  if (channel.gameState.timerInterval) {
+    clearInterval(channel.gameState.timerInterval);
+  }
+
+  // Se timerDuration é null, não iniciar timer (sem limite de tempo)
+  const timerDuration = channel.gameSettings?.timerDuration;
+  if (timerDuration === null) {
+    console.log(`[${new Date().toISOString()}] No timer for channel ${channelId} (unlimited time)`);
+    return;
+  }
+
+  const tick = () => {
+    if (!channels.has(channelId)) {
+      clearInterval(channel.gameState.timerInterval);
+      return;
+    }
+
+    const currentChannel = channels.get(channelId);
+    // A pergunta pode ter sido encerrada ou pausada por outra instância
+    if (
+      currentChannel.gameState.isRevealed ||
+      currentChannel.gameState.isShowingResults ||
+      currentChannel.gameState.isPaused
+    ) {
+      clearInterval(currentChannel.gameState.timerInterval);
+      currentChannel.gameState.timerInterval = null;
+      return;
+    }
+
+    const { gameState } = currentChannel;
+    gameState.lastTickAt = Date.now();
+    const hasExtendedDevices = getExtendedDeviceIds(currentChannel).length > 0;
+    if (gameState.timerRemaining > 0) {
+      // Calculado a partir do prazo: um tick atrasado não estica a pergunta
+      const deadline = getQuestionDeadline(currentChannel);
+      gameState.timerRemaining =
+        deadline !== null
+          ? Math.max(0, Math.round((deadline - gameState.lastTickAt) / 1000))
+          : gameState.timerRemaining - 1;
+      emitTimerTick(channelId);
+    } else if (hasExtendedDevices && gameState.overtimeRemaining === null) {
+      // Tempo extra: só quem usou extraTime ainda pode responder (este tick já é o primeiro segundo)
+      gameState.overtimeRemaining = EXTRA_TIME_SECONDS - 1;
+      emitTimerTick(channelId);
+    } else if (hasExtendedDevices && gameState.overtimeRemaining > 0) {
+      gameState.overtimeRemaining--;
+      emitTimerTick(channelId);
+    } else {
+      // Timer expirou
+      clearInterval(currentChannel.gameState.timerInterval);
+      currentChannel.gameState.timerInterval = null;
+
+      // Emitir evento de timeout
+      io.to(channelId).emit("question-timeout", {
+        questionIndex: currentChannel.gameState.currentQuestionIndex,
+      });
+
+      revealQuestion(channelId);
+      scheduleAutoAdvance(channelId);
+      // revealQuestion já enviou o estado; só falta o horário do auto-advance
+      if (currentChannel.gameState.autoAdvanceAt) {
+        broadcastChannelUpdate(channelId);
+      }
+    }
+  };
+
+  // Timer de 1 segundo
+  channel.gameState.lastTickAt = Date.now() + firstTickMs - 1000;
+  const firstTick = setTimeout(() => {
+    tick();
+    const current = channels.get(channelId)?.gameState;
+    if (current?.timerInterval === firstTick) {
+      current.timerInterval = setInterval(tick, 1000);
+    }
+  }, firstTickMs);
+  channel.gameState.timerInterval = firstTick;
+};
+
+/**
+ * Checks whether a device may answer the question, or use a lifeline on it.
+ * Returns { error } or { channel, device, isTiebreaker, captainTeam }.
+ */
+const checkCanAnswer = (channelId, deviceId, questionIndex) => {
+  const device = connectedDevices.get(deviceId);
+  if (!device || device.channel !== channelId) {
+    return { error: "not_in_channel" };
+  }
+
+  const channel = channels.get(channelId);
+  if (!channel || !channel.isGameStarted) {
+    return { error: "game_not_started" };
+  }
+
+  if (NON_PLAYER_ROLES.includes(device.role)) {
+    return { error: "not_player" };
+  }
+
+  // Perguntas de desempate: só os empatados respondem, sem pontos
+  const { tiebreaker } = channel.gameState;
+  const isTiebreaker = Boolean(tiebreaker && questionIndex >= tiebreaker.startIndex);
+  if (isTiebreaker && !tiebreaker.deviceIds.includes(deviceId)) {
+    return { error: "not_in_tiebreaker" };
+  }
+
+  // No modo capitão só o capitão responde, pelo time inteiro
+  const captainTeam =
+    !isTiebreaker && channel.gameSettings?.teamAnswerMode === "captain" && device.teamId
+      ? channel.teams?.find((team) => team.id === device.teamId)
+      : null;
+  if (captainTeam && captainTeam.captainId !== deviceId) {
+    return { error: "not_captain" };
+  }
+
+  // Verificar se é a pergunta atual
+  if (questionIndex !== channel.gameState.currentQuestionIndex) {
+    console.warn(`Device ${deviceId} answered wrong question`);
+    return { error: "wrong_question" };
+  }
+
+  if (channel.gameState.isRevealed) {
+    console.warn(`Device ${deviceId} answered Q${questionIndex} after it was revealed`);
+    return { error: "question_revealed" };
+  }
+
+  if (channel.gameState.isPaused) {
+    return { error: "game_paused" };
+  }
+
+  // Prazo em hora do servidor, com tolerância para a latência (extraTime estende o prazo)
+  const deadline = getDeviceDeadline(channel, deviceId);
+  const lateMs = deadline !== null ? Date.now() - deadline : 0;
+  if (lateMs > getLateAnswerAllowance(device)) {
+    console.warn(`Device ${deviceId} answered Q${questionIndex} ${lateMs}ms after the deadline`);
+    return { error: "time_up" };
+  }
+
+  // Verificar se já respondeu esta pergunta
+  const deviceAnswers = channel.gameState.answers.get(deviceId) || [];
+  if (deviceAnswers.some((a) => a.questionIndex === questionIndex)) {
+    console.warn(`Device ${deviceId} already answered question ${questionIndex}`);
+    return { error: "already_answered" };
+  }
+
+  return { channel, device, isTiebreaker, captainTeam };
+};
+
+/**
+ * Stores an answer (copied to the teammates in captain mode), reveals the question when
+ * everyone answered in auto-advance mode and sends the update and the answer-result
+ */
+const recordAnswer = (channelId, deviceId, answerData, captainTeam) => {
+  const channel = channels.get(channelId);
+  const { questionIndex } = answerData;
+
+  const teammates = updateChannel(channelId, ({ gameState }) => {
+    gameState.answers.set(deviceId, [...(gameState.answers.get(deviceId) || []), answerData]);
+
+    // A resposta do capitão vale para os demais membros do time
+    const members = captainTeam
+      ? getTeamMembers(channel, captainTeam.id).filter(
+          (memberId) =>
+            memberId !== deviceId &&
+            !(gameState.answers.get(memberId) || []).some((a) => a.questionIndex === questionIndex)
+        )
+      : [];
+    members.forEach((memberId) => {
+      gameState.answers.set(memberId, [
+        ...(gameState.answers.get(memberId) || []),
+        { ...answerData, sharedFrom: deviceId },
+      ]);
+    });
+    return members;
+  });
+
+  // No modo auto-advance, revelar assim que todos os guests responderem
+  if (channel.gameSettings?.autoAdvance) {
+    const { answeredCount, totalGuests } = getAnsweredGuestsCount(channel, questionIndex);
+    if (totalGuests > 0 && answeredCount >= totalGuests) {
+      revealQuestion(channelId);
+      scheduleAutoAdvance(channelId);
+    }
+  }
+
+  // Contagem de respostas em tempo real; estado completo só se a pergunta foi revelada
+  if (channel.gameState.isRevealed) {
+    sendChannelUpdateNow(channelId);
+  } else {
+    emitAnswerCount(channelId);
+  }
+
+  // Notificar TODOS os dispositivos do canal sobre o resultado (para sincronizar feedback)
+  const question = channel.gameState.questions[questionIndex];
+  [deviceId, ...teammates].forEach((id) => {
+    io.to(channelId).emit("answer-result", buildAnswerResult(question, id, answerData));
+  });
+};
+
+const calculateRanking = (channel) => {
+  const ranking = [];
+
+  // Guests que não responderam nada também entram no ranking
+  const answersByDevice = new Map(channel.gameState.answers);
+  channel.devices.forEach((deviceId) => {
+    if (connectedDevices.get(deviceId)?.role === "guest" && !answersByDevice.has(deviceId)) {
+      answersByDevice.set(deviceId, []);
+    }
+  });
+
+  console.log(
+    `[${new Date().toISOString()}] Calculating ranking for ${answersByDevice.size} devices`
+  );
+
+  answersByDevice.forEach((allAnswers, deviceId) => {
+    const device = connectedDevices.get(deviceId);
+    if (!device) {
+      console.warn(`Device ${deviceId} not found in connectedDevices`);
+      return;
+    }
+    if (NON_PLAYER_ROLES.includes(device.role)) {
+      return;
+    }
+
+    // Respostas de desempate não somam pontos, só decidem a ordem dos empatados
+    const answers = allAnswers.filter((a) => !a.isTiebreaker);
+    const tiebreakerAnswers = allAnswers.filter((a) => a.isTiebreaker);
+    const isInTiebreaker = Boolean(channel.gameState.tiebreaker?.deviceIds.includes(deviceId));
+
+    // Perguntas puladas (lifeline skip) não contam na precisão nem no tempo
+    const graded = answers.filter((a) => !a.skipped);
+    const totalPoints = answers.reduce((sum, a) => sum + a.points, 0);
+    const correctAnswers = graded.filter((a) => a.isCorrect).length;
+    const totalAnswers = graded.length;
+    const accuracy = totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0;
+    const scoreBreakdown = answers.reduce(
+      (totals, a) => ({
+        speedPoints: totals.speedPoints + (a.breakdown?.speedPoints || 0),
+        streakBonus: totals.streakBonus + (a.breakdown?.streakBonus || 0),
+        lifelineBonus: totals.lifelineBonus + (a.breakdown?.lifelineBonus || 0),
+        penalties: totals.penalties + (a.breakdown?.penalty || 0),
+      }),
+      { speedPoints: 0, streakBonus: 0, lifelineBonus: 0, penalties: 0 }
+    );
+    const bestStreak = answers.reduce((best, a) => Math.max(best, a.breakdown?.streak || 0), 0);
+    const totalTimeSpent = graded.reduce((sum, a) => sum + (a.timeSpent || 0), 0);
+    const partialAnswers = graded.filter((a) => !a.isCorrect && a.credit > 0).length;
+    const lifelineUsage = channel.gameState.lifelines?.[deviceId] || [];
+    const lifelinesUsed = Object.fromEntries(
+      LIFELINES.map((lifeline) => [
+        lifeline,
+        lifelineUsage.filter((u) => u.lifeline === lifeline).length,
+      ])
+    );
+    const byType = {};
+    graded.forEach((a) => {
+      const type = getQuestionType(channel.gameState.questions[a.questionIndex] || {});
+      byType[type] = byType[type] || { correct: 0, partial: 0, total: 0, points: 0 };
+      byType[type].total++;
+      byType[type].points += a.points;
+      if (a.isCorrect) {
+        byType[type].correct++;
+      } else if (a.credit > 0) {
+        byType[type].partial++;
+      }
+    });
+
+    console.log(
+      `  ${device.displayName} (${device.role}): ${totalPoints} pts, ${correctAnswers}/${totalAnswers} correct`
+    );
+
+    ranking.push({
+      deviceId,
+      displayName: device.displayName,
+      role: device.role,
+      teamId: device.teamId || null,
+      totalPoints,
+      correctAnswers,
+      totalAnswers,
+      accuracy: Math.round(accuracy),
+      partialAnswers,
+      byType,
+      scoreBreakdown,
+      lifelinesUsed,
+      bestStreak,
+      totalTimeSpent,
+      lastAnswerAt: answers.length > 0 ? Math.max(...answers.map((a) => a.timestamp)) : null,
+      ...(isInTiebreaker
+        ? {
+            tiebreaker: {
+              correctAnswers: tiebreakerAnswers.filter((a) => a.isCorrect).length,
+              timeSpent: tiebreakerAnswers
+                .filter((a) => a.isCorrect)
+                .reduce((sum, a) => sum + a.timeSpent, 0),
+            },
+          }
+        : {}),
+    });
+  });
+
+  // Pontos primeiro; entre os empatados, o desempate (morte súbita) e depois os critérios configurados
+  const tieBreakers = channel.gameSettings?.tieBreakers || DEFAULT_TIE_BREAKERS;
+  const compare = (a, b) => {
+    if (b.totalPoints !== a.totalPoints) {
+      return b.totalPoints - a.totalPoints;
+    }
+    if (a.tiebreaker && b.tiebreaker) {
+      const byTiebreaker =
+        b.tiebreaker.correctAnswers - a.tiebreaker.correctAnswers ||
+        a.tiebreaker.timeSpent - b.tiebreaker.timeSpent;
+      if (byTiebreaker !== 0) {
+        return byTiebreaker;
+      }
+    }
+    for (const criterion of tieBreakers) {
+      const result = TIE_BREAKERS[criterion](a, b);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  };
+  ranking.sort(compare);
+
+  // Empates verdadeiros dividem a posição (1, 1, 3...)
+  ranking.forEach((entry, index) => {
+    const previous = ranking[index - 1];
+    entry.position = previous && compare(previous, entry) === 0 ? previous.position : index + 1;
+  });
+
+  console.log(`[${new Date().toISOString()}] Final ranking:`, JSON.stringify(ranking, null, 2));
+
+  return ranking;
+};
+
+/**
+ * The sudden-death question of a round, by locale: from the tiebreakerQuestions sent with
+ * load-questions, otherwise drawn from the question bank. Null when there is none.
+ */
+const getTiebreakerQuestion = (channel, round) => {
+  const source = channel.gameState.tiebreakerQuestions;
+  if (source) {
+    const byLocale = Array.isArray(source) ? { "pt-BR": source } : source;
+    const question = Object.fromEntries(
+      Object.entries(byLocale)
+        .filter(([, questions]) => questions[round - 1])
+        .map(([locale, questions]) => [locale, questions[round - 1]])
+    );
+    return question["pt-BR"] ? question : null;
+  }
+
+  if (questionBank.size() === 0) {
+    return null;
+  }
+  const [drawn] = questionBank.draw({ count: 1, exclude: new Set(channel.usedQuestionIds || []) });
+  channel.usedQuestionIds = [...(channel.usedQuestionIds || []), drawn.id];
+  return Object.fromEntries(
+    Object.entries(questionBank.localize([drawn])).map(([locale, [question]]) => [locale, question])
+  );
+};
+
+/**
+ * Sudden death: when suddenDeath is on and several devices have the most points after the
+ * last question (before the tieBreakers criteria), appends a question that only the tied
+ * devices answer (advanceQuestion announces it). Returns false when the game can end.
+ */
+const addTiebreakerQuestion = (channelId) => {
+  const channel = channels.get(channelId);
+  const { gameState } = channel;
+  if (!channel.gameSettings?.suddenDeath) {
+    return false;
+  }
+
+  const round = (gameState.tiebreaker?.round || 0) + 1;
+  // Empate pelos pontos (e pelas rodadas anteriores), antes dos critérios de tieBreakers:
+  // tempos em milissegundos quase nunca empatam e a morte súbita nunca aconteceria
+  const ranking = calculateRanking(channel);
+  const [leader] = ranking;
+  const tied = ranking.filter(
+    (entry) =>
+      entry.totalPoints === leader.totalPoints &&
+      entry.tiebreaker?.correctAnswers === leader.tiebreaker?.correctAnswers &&
+      entry.tiebreaker?.timeSpent === leader.tiebreaker?.timeSpent
+  );
+  if (tied.length < 2 || round > MAX_TIEBREAKER_ROUNDS) {
+    return false;
+  }
+
+  const question = getTiebreakerQuestion(channel, round);
+  if (!question) {
+    console.warn(`[${new Date().toISOString()}] No tiebreaker question for channel ${channelId}`);
+    return false;
+  }
+
+  gameState.questions.push(question["pt-BR"]);
+  if (gameState.questionsByLocale) {
+    Object.entries(gameState.questionsByLocale).forEach(([locale, questions]) => {
+      questions.push(question[locale] || question["pt-BR"]);
+    });
+  }
+  gameState.tiebreaker = {
+    deviceIds: tied.map((entry) => entry.deviceId),
+    startIndex: gameState.tiebreaker?.startIndex ?? gameState.currentQuestionIndex,
+    round,
+  };
+
+  console.log(
+    `[${new Date().toISOString()}] Sudden death round ${round} in channel ${channelId}: ${gameState.tiebreaker.deviceIds.join(", ")}`
+  );
+  return true;
+};
+
+/**
+ * Everything about a finished game that is worth keeping: settings, questions with their
+ * answers, every answer with its timing and the final rankings
+ */
+const buildMatchRecord = (channelId, ranking, teamRanking) => {
+  const channel = channels.get(channelId);
+  const { gameState } = channel;
 
-  const selectedGuestsCount = channel?.gameState?.guestSelections?.size || 0;
+  const answers = [];
+  gameState.answers.forEach((deviceAnswers, deviceId) => {
+    deviceAnswers.forEach((answer) => answers.push({ deviceId, ...answer }));
+  });
+  answers.sort((a, b) => a.questionIndex - b.questionIndex || a.timestamp - b.timestamp);
+
+  const playerIds = new Set([...ranking.map((entry) => entry.deviceId), ...channel.devices]);
 
   return {
+    id: crypto.randomUUID(),
     channelId,
-    devices,
-    totalDevices: devices.length,
-    adminId: channel.adminId,
-    categoryTotals,
-    maxCategorySelections: channel.gameSettings?.maxCategorySelections || MAX_CATEGORY_SELECTIONS,
-    gameSettings: channel.gameSettings || null,
-    isVotingClosed: Boolean(channel?.isVotingClosed),
-    isGameStarted: Boolean(channel?.isGameStarted),
-    gameState: channel?.gameState
-      ? {
-          questions: questionsForLocale.map((q) => ({
-            id: q.id,
-            question: q.question,
-            options: q.options,
-            difficulty: q.difficulty,
-            points: q.points,
-            category: q.category,
-            correctAnswer: q.correctAnswer,
-          })),
-          currentQuestionIndex: channel.gameState.currentQuestionIndex,
-          timerRemaining: channel.gameState.timerRemaining,
-          isShowingResults: channel.gameState.isShowingResults,
-          answeredGuestsCount: answerStats.answeredCount,
-          totalGuests: answerStats.totalGuests,
-          selectedGuestsCount,
-        }
-      : null,
+    seriesId: channel.seriesId || null,
+    startedAt: gameState.startedAt,
+    finishedAt: Date.now(),
+    settings: channel.gameSettings || null,
+    teams: channel.teams || [],
+    questions: gameState.questions.map((question) =>
+      buildQuestionPayload(question, { includeAnswer: true })
+    ),
+    players: Array.from(playerIds)
+      .map((deviceId) => connectedDevices.get(deviceId))
+      .filter((device) => device != null)
+      .map((device) => ({
+        deviceId: device.id,
+        displayName: device.displayName || device.id,
+        role: device.role,
+        teamId: device.teamId || null,
+        locale: device.locale || "pt-BR",
+      })),
+    answers,
+    ranking,
+    teamRanking,
   };
 };
 
-const removeDeviceFromChannel = (deviceId, reason, options = {}) => {
-  const device = connectedDevices.get(deviceId);
-  if (!device || !device.channel) {
-    return;
-  }
-
-  const channelId = device.channel;
+/**
+ * Moves the channel to the next question, or finishes the game after the last one.
+ * Used both by the admin's `next-question` and by auto-advance.
+ */
+const advanceQuestion = (channelId) => {
   const channel = channels.get(channelId);
-  if (!channel) {
-    device.channel = null;
-    device.role = "guest";
+  if (!channel || !channel.isGameStarted || channel.gameState.isShowingResults) {
     return;
   }
 
-  channel.devices.delete(deviceId);
-  channel.votes?.delete(deviceId);
-  device.channel = null;
-  device.role = "guest";
-  device.isReady = false;
+  // Revelar a resposta antes de avançar (também limpa o timer atual)
+  revealQuestion(channelId);
+  clearAutoAdvance(channel);
 
-  const socketInstance = io.sockets.sockets.get(device.socketId);
-  if (socketInstance) {
-    socketInstance.leave(channelId);
-  }
+  // Avançar para próxima pergunta
+  channel.gameState.currentQuestionIndex++;
+  channel.gameState.isRevealed = false;
 
-  if (reason && device.socketId) {
-    io.to(device.socketId).emit("force-leave-channel", {
-      channelId,
-      reason,
+  // Reset guest selections for the new question
+  channel.gameState.guestSelections = new Set();
+
+  // Verificar se acabaram as perguntas (um empate no primeiro lugar pode acrescentar uma de desempate)
+  if (
+    channel.gameState.currentQuestionIndex >= channel.gameState.questions.length &&
+    !addTiebreakerQuestion(channelId)
+  ) {
+    // Jogo terminou - mostrar resultados
+    channel.gameState.isShowingResults = true;
+
+    // Calcular ranking
+    const ranking = calculateRanking(channel);
+    const teamRanking = channel.teams?.length ? calculateTeamRanking(channel, ranking) : null;
+    metrics.gamesFinished.inc();
+
+    // Guardar a partida antes que reset-game descarte as respostas
+    const match = buildMatchRecord(channelId, ranking, teamRanking);
+    matchHistory.record(match);
+    profiles.recordMatch(match);
+
+    // Emitir resultados
+    sendChannelUpdateNow(channelId);
+    io.to(channelId).emit("game-finished", {
+      matchId: match.id,
+      ranking,
+      teamRanking,
+      totalQuestions: channel.gameState.tiebreaker?.startIndex ?? channel.gameState.questions.length,
     });
+
+    console.log(`Game finished in channel ${channelId}`);
+  } else {
+    // Próxima pergunta
+    channel.gameState.questionStartTime = Date.now();
+    channel.gameState.timerRemaining = channel.gameSettings?.timerDuration || 60;
+    channel.gameState.overtimeRemaining = null;
+
+    // Reiniciar timer
+    startQuestionTimer(channelId);
+
+    console.log(
+      `Channel ${channelId} advanced to question ${channel.gameState.currentQuestionIndex + 1}`
+    );
+
+    // Broadcast estado atualizado (antes do anúncio, numa rodada de desempate)
+    const { tiebreaker, currentQuestionIndex } = channel.gameState;
+    if (tiebreaker && currentQuestionIndex >= tiebreaker.startIndex) {
+      sendChannelUpdateNow(channelId);
+      io.to(channelId).emit("tiebreaker-started", {
+        channelId,
+        round: tiebreaker.round,
+        questionIndex: currentQuestionIndex,
+        deviceIds: tiebreaker.deviceIds,
+      });
+    } else {
+      broadcastChannelUpdate(channelId);
+    }
   }
+};
 
-  if (channel.devices.size === 0) {
-    channels.delete(channelId);
-  } else if (!options.suppressUpdate) {
-    broadcastChannelUpdate(channelId);
+const clearAutoAdvance = (channel) => {
+  if (channel.gameState?.autoAdvanceTimeout) {
+    clearTimeout(channel.gameState.autoAdvanceTimeout);
+  }
+  if (channel.gameState) {
+    channel.gameState.autoAdvanceTimeout = null;
+    channel.gameState.autoAdvanceAt = null;
   }
 };
 
-const forceCloseChannel = (channelId, reason, { notifyAdmin = false } = {}) => {
+/**
+ * In auto-advance mode, moves on to the next question once the reveal delay has passed
+ */
+const scheduleAutoAdvance = (channelId, { delayMs: remainingMs } = {}) => {
   const channel = channels.get(channelId);
-  if (!channel) {
+  if (!channel || !channel.gameSettings?.autoAdvance || channel.gameState.autoAdvanceTimeout) {
     return;
   }
 
+  const questionIndex = channel.gameState.currentQuestionIndex;
+  const delayMs = remainingMs ?? (channel.gameSettings.revealDelay ?? DEFAULT_REVEAL_DELAY) * 1000;
+
   console.log(
-    `[${new Date().toISOString()}] Force closing channel ${channelId} (reason: ${reason})`
+    `[${new Date().toISOString()}] Auto-advancing channel ${channelId} from Q${questionIndex} in ${delayMs}ms`
   );
 
-  // Limpar timer do jogo se existir
+  channel.gameState.autoAdvanceAt = Date.now() + delayMs;
+  channel.gameState.autoAdvanceTimeout = setTimeout(() => {
+    const currentChannel = channels.get(channelId);
+    if (!currentChannel || currentChannel.gameState.currentQuestionIndex !== questionIndex) {
+      return;
+    }
+    currentChannel.gameState.autoAdvanceTimeout = null;
+    advanceQuestion(channelId);
+  }, delayMs);
+};
+
+const clearGameTimers = (channel) => {
   if (channel.gameState?.timerInterval) {
     clearInterval(channel.gameState.timerInterval);
+    channel.gameState.timerInterval = null;
   }
+  clearAutoAdvance(channel);
+};
 
-  const members = Array.from(channel.devices);
+/**
+ * A question is running or being revealed: the game can be paused
+ */
+const canPauseGame = (channel) =>
+  Boolean(
+    channel?.isGameStarted &&
+      channel.gameState.questions.length > 0 &&
+      !channel.gameState.isShowingResults &&
+      !channel.gameState.isPaused
+  );
 
-  members.forEach((deviceId) => {
-    const shouldNotify = deviceId === channel.adminId ? notifyAdmin : true;
-    removeDeviceFromChannel(deviceId, shouldNotify ? reason : undefined, { suppressUpdate: true });
-  });
+/**
+ * Freezes the question timer and the auto-advance countdown. What was left of both is kept
+ * in `resumeTimers` for resumeGame.
+ */
+const pauseGame = (channelId, reason) => {
+  const channel = channels.get(channelId);
+  const { gameState } = channel;
+  const now = Date.now();
 
-  channels.delete(channelId);
+  gameState.resumeTimers = {
+    nextTickMs: gameState.timerInterval
+      ? Math.min(1000, Math.max(0, 1000 - (now - gameState.lastTickAt)))
+      : null,
+    autoAdvanceMs: gameState.autoAdvanceAt ? Math.max(0, gameState.autoAdvanceAt - now) : null,
+  };
+  clearGameTimers(channel);
+  gameState.timerRemaining = getTimerRemaining(channel);
+  gameState.isPaused = true;
+  gameState.pausedAt = now;
+  gameState.pauseReason = reason;
+
+  console.log(
+    `[${new Date().toISOString()}] Game paused in channel ${channelId} (${reason}) with ${gameState.timerRemaining}s left`
+  );
+  sendChannelUpdateNow(channelId);
+  io.to(channelId).emit("game-paused", { channelId, reason, pausedAt: now });
 };
 
-const startQuestionTimer = (channelId) => {
+/**
+ * Starts the countdowns again where pauseGame stopped them. The pause does not count
+ * in the response time of the answers.
+ */
+const resumeGame = (channelId) => {
   const channel = channels.get(channelId);
-  if (!channel || !channel.gameState) return;
+  const { gameState } = channel;
+  const pausedMs = Date.now() - gameState.pausedAt;
+  const { nextTickMs, autoAdvanceMs } = gameState.resumeTimers || {};
 
-  // Limpar timer anterior se existir
-  if (channel.gameState.timerInterval) {
-    clearInterval(channel.gameState.timerInterval);
+  if (gameState.questionStartTime) {
+    gameState.questionStartTime += pausedMs;
+  }
+  gameState.isPaused = false;
+  gameState.pausedAt = null;
+  gameState.pauseReason = null;
+  gameState.resumeTimers = null;
+
+  if (!gameState.isRevealed) {
+    startQuestionTimer(channelId, { firstTickMs: nextTickMs ?? 1000 });
+  } else if (autoAdvanceMs !== null && autoAdvanceMs !== undefined) {
+    scheduleAutoAdvance(channelId, { delayMs: autoAdvanceMs });
   }
 
-  // Se timerDuration é null, não iniciar timer (sem limite de tempo)
-  const timerDuration = channel.gameSettings?.timerDuration;
-  if (timerDuration === null) {
-    console.log(`[${new Date().toISOString()}] No timer for channel ${channelId} (unlimited time)`);
+  console.log(
+    `[${new Date().toISOString()}] Game resumed in channel ${channelId} after ${pausedMs}ms`
+  );
+  sendChannelUpdateNow(channelId);
+  io.to(channelId).emit("game-resumed", { channelId, pausedMs });
+};
+
+/**
+ * Authenticates the deviceId of the handshake. A known deviceId can only be used again
+ * with the token issued to it; new devices get a token on connect (`device-credentials`).
+ */
+io.use((socket, next) => {
+  const { deviceId, deviceToken } = socket.handshake.auth || {};
+
+  if (deviceId !== undefined && (typeof deviceId !== "string" || !deviceId || deviceId.length > 200)) {
+    next(new Error("invalid_device_id"));
     return;
   }
 
-  // Timer de 1 segundo
-  channel.gameState.timerInterval = setInterval(() => {
-    if (!channels.has(channelId)) {
-      clearInterval(channel.gameState.timerInterval);
-      return;
-    }
-
-    const currentChannel = channels.get(channelId);
-    if (currentChannel.gameState.timerRemaining > 0) {
-      currentChannel.gameState.timerRemaining--;
-      broadcastChannelUpdate(channelId);
-    } else {
-      // Timer expirou
-      clearInterval(currentChannel.gameState.timerInterval);
-      currentChannel.gameState.timerInterval = null;
+  const hasValidToken = Boolean(deviceId) && deviceAuth.verifyToken(deviceId, deviceToken);
+  if (deviceId && !hasValidToken && connectedDevices.has(deviceId)) {
+    console.warn(
+      `[${new Date().toISOString()}] Rejected handshake reusing deviceId ${deviceId} without a valid token`
+    );
+    metrics.rejectedEvents.inc({ event: "connection", reason: "device_id_in_use" });
+    next(new Error("device_id_in_use"));
+    return;
+  }
 
-      // Emitir evento de timeout
-      io.to(channelId).emit("question-timeout", {
-        questionIndex: currentChannel.gameState.currentQuestionIndex,
-      });
-    }
-  }, 1000);
-};
+  // Sem token válido o deviceId do cliente não é aceito (nem depois da limpeza de inativos
+  // ou de um restart, o que permitiria assumir a sessão de outro dispositivo)
+  socket.data.deviceId = hasValidToken ? deviceId : crypto.randomUUID();
+  next();
+});
 
-const calculateRanking = (channel) => {
-  const ranking = [];
+io.on("connection", (socket) => {
+  const persistentDeviceId = socket.data.deviceId;
+  const deviceLocale = socket.handshake.auth.locale || "pt-BR";
 
   console.log(
-    `[${new Date().toISOString()}] Calculating ranking for ${channel.gameState.answers.size} devices`
+    `[${new Date().toISOString()}] Device connected: ${persistentDeviceId} (socket: ${socket.id}, locale: ${deviceLocale})`
   );
 
-  channel.gameState.answers.forEach((answers, deviceId) => {
-    const device = connectedDevices.get(deviceId);
-    if (!device) {
-      console.warn(`Device ${deviceId} not found in connectedDevices`);
-      return;
-    }
+  socketToDevice.set(socket.id, persistentDeviceId);
 
-    const totalPoints = answers.reduce((sum, a) => sum + a.points, 0);
-    const correctAnswers = answers.filter((a) => a.isCorrect).length;
-    const totalAnswers = answers.length;
-    const accuracy = totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0;
+  socket.emit("device-credentials", {
+    deviceId: persistentDeviceId,
+    deviceToken: deviceAuth.issueToken(persistentDeviceId),
+  });
 
-    console.log(
-      `  ${device.displayName} (${device.role}): ${totalPoints} pts, ${correctAnswers}/${totalAnswers} correct`
-    );
+  socket.onAny((event, ...args) => {
+    // Só eventos conhecidos viram label: nomes arbitrários criariam séries sem limite
+    const isKnown = Object.hasOwn(EVENT_SCHEMAS, event);
+    metrics.socketEvents.inc({ event: isKnown ? event : "unknown" });
 
-    ranking.push({
-      deviceId,
-      displayName: device.displayName,
-      role: device.role,
-      totalPoints,
-      correctAnswers,
-      totalAnswers,
-      accuracy: Math.round(accuracy),
-    });
+    const ack = args[args.length - 1];
+    if (!isKnown && typeof ack === "function") {
+      metrics.rejectedEvents.inc({ event: "unknown", reason: "unknown_event" });
+      ack(rejection("unknown_event"));
+    }
   });
 
-  // Ordenar por pontos (maior para menor)
-  ranking.sort((a, b) => b.totalPoints - a.totalPoints);
+  const clientIp = getClientIp(socket);
+  let violations = 0;
+  let violationsWindowStart = Date.now();
 
-  // Adicionar posição
-  ranking.forEach((entry, index) => {
-    entry.position = index + 1;
-  });
+  /**
+   * Takes a token from the socket and IP buckets of the event. Sockets that keep
+   * flooding after being told to slow down are disconnected.
+   */
+  const checkRateLimit = (event) => {
+    const socketLimit = socketRateLimiter.consume(socket.id, event);
+    const ipLimit = socketLimit.allowed ? ipRateLimiter.consume(clientIp, event) : socketLimit;
+    if (ipLimit.allowed) {
+      return null;
+    }
 
-  console.log(`[${new Date().toISOString()}] Final ranking:`, JSON.stringify(ranking, null, 2));
+    if (Date.now() - violationsWindowStart > 60000) {
+      violations = 0;
+      violationsWindowStart = Date.now();
+    }
+    violations++;
 
-  return ranking;
-};
+    const retryAfterMs = ipLimit.retryAfterMs;
+    socket.emit("rate-limited", { event, retryAfterMs });
 
-io.on("connection", (socket) => {
-  const persistentDeviceId = socket.handshake.auth.deviceId || socket.id;
-  const deviceLocale = socket.handshake.auth.locale || "pt-BR";
+    if (violations >= RATE_LIMIT_MAX_VIOLATIONS) {
+      console.warn(
+        `[${new Date().toISOString()}] Disconnecting ${persistentDeviceId} (${clientIp}) for flooding ${event}`
+      );
+      metrics.rejectedEvents.inc({ event: "connection", reason: "rate_limit_disconnect" });
+      socket.disconnect(true);
+    }
 
-  console.log(
-    `[${new Date().toISOString()}] Device connected: ${persistentDeviceId} (socket: ${socket.id}, locale: ${deviceLocale})`
-  );
+    return rejection("rate_limited", `retry in ${retryAfterMs}ms`);
+  };
 
-  socketToDevice.set(socket.id, persistentDeviceId);
+  /**
+   * Registers a handler for an event of EVENT_SCHEMAS. The payload is validated before the
+   * handler runs, and the handler result ({ ok: true } when it returns nothing) is sent to
+   * the acknowledgement callback, if the client passed one.
+   */
+  const onEvent = (event, handler) => {
+    socket.on(event, (...args) => {
+      const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+      // Eventos acima do limite são rejeitados antes da validação e do handler
+      let result = checkRateLimit(event);
+      const validationError = result ? null : validateEventPayload(event, args);
+      if (validationError) {
+        console.warn(
+          `[${new Date().toISOString()}] Invalid ${event} payload from ${persistentDeviceId}: ${validationError}`
+        );
+        result = rejection("invalid_payload", validationError);
+      } else if (!result) {
+        try {
+          result = handler(...args) || { ok: true };
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] Error handling ${event}:`, error);
+          result = rejection("internal_error");
+        }
+      }
+
+      if (!result.ok) {
+        metrics.rejectedEvents.inc({ event, reason: result.error });
+      }
+      if (ack) {
+        ack(result);
+      }
+    });
+  };
+
+  // Manter o vínculo com o canal para que o dispositivo possa retomar a sessão (resume-session)
+  const previousDevice = connectedDevices.get(persistentDeviceId);
+  const previousChannel = previousDevice?.channel ? channels.get(previousDevice.channel) : null;
+  const canResume = Boolean(previousChannel?.devices.has(persistentDeviceId));
 
   connectedDevices.set(persistentDeviceId, {
     id: persistentDeviceId,
     socketId: socket.id,
-    connectedAt: Date.now(),
-    channel: null,
+    connectedAt: canResume ? previousDevice.connectedAt : Date.now(),
+    channel: canResume ? previousDevice.channel : null,
     isActive: true,
-    role: "guest",
-    displayName: null,
-    isReady: false,
+    role: canResume ? previousDevice.role : "guest",
+    displayName: canResume ? previousDevice.displayName : null,
+    isReady: canResume ? previousDevice.isReady : false,
+    teamId: canResume ? previousDevice.teamId || null : null,
     locale: deviceLocale,
   });
 
-  socket.on("create-channel", (channelId, deviceId, options = {}) => {
-    const actualDeviceId = deviceId || persistentDeviceId;
-    console.log(
-      `[${new Date().toISOString()}] Device ${actualDeviceId} creating channel: ${channelId}`
-    );
+  // Admin que volta dentro do período de tolerância retoma o controle do canal
+  if (
+    canResume &&
+    previousChannel.adminDisconnectedAt &&
+    previousChannel.adminId === persistentDeviceId
+  ) {
+    const device = connectedDevices.get(persistentDeviceId);
+    if (reclaimAdmin(previousDevice.channel, device, socket)) {
+      socket.emit("joined-channel", buildDeviceChannelState(previousDevice.channel, device.id));
+    }
+  }
+
+  onEvent("create-channel", (channelId, deviceId, options = {}) => {
+    // O deviceId vem apenas do handshake autenticado
+    if (deviceId && deviceId !== persistentDeviceId) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} sent a different deviceId: ${deviceId}`
+      );
+      return rejection("device_mismatch");
+    }
+    const actualDeviceId = persistentDeviceId;
 
     const device = connectedDevices.get(actualDeviceId);
     if (!device) {
@@ -464,37 +2952,51 @@ io.on("connection", (socket) => {
         `[${new Date().toISOString()}] Unknown device tried to create channel: ${actualDeviceId}`
       );
       socket.emit("channel-error", { error: "device_not_found" });
-      return;
+      return rejection("device_not_found");
     }
 
+    // O código de entrada é sempre gerado pelo servidor: um código escolhido pelo cliente
+    // seria fácil de adivinhar
+    if (channelId) {
+      console.warn(
+        `[${new Date().toISOString()}] Ignoring channelId ${channelId} sent by ${actualDeviceId}`
+      );
+    }
+    channelId = generateJoinCode((code) => channels.has(code));
+    console.log(
+      `[${new Date().toISOString()}] Device ${actualDeviceId} creating channel: ${channelId}`
+    );
+
     // Check if channel already exists
     if (channels.has(channelId)) {
       console.warn(`[${new Date().toISOString()}] Channel ${channelId} already exists`);
       socket.emit("channel-error", { error: "channel_already_exists" });
-      return;
+      return rejection("channel_already_exists");
     }
 
-    const { displayName } = options || {};
-    if (displayName && typeof displayName === "string") {
-      device.displayName = displayName.trim().substring(0, 50);
+    if (device.channel) {
+      leaveCurrentChannel(actualDeviceId);
     }
 
+    const { displayName, hostMigration, password, maxDevices, seriesId } = options || {};
+    applyDisplayName(device, displayName);
+
     // Create new channel
     const channel = {
       adminId: actualDeviceId,
+      hostMigration: typeof hostMigration === "boolean" ? hostMigration : HOST_MIGRATION_ENABLED,
+      isLocked: false,
+      passwordHash: password ? hashPassword(password) : null,
+      maxDevices: Math.min(maxDevices || MAX_CHANNEL_DEVICES, MAX_CHANNEL_DEVICES),
+      // Série escolhida pelo admin (ex.: o quiz semanal): os códigos de entrada mudam a cada canal
+      seriesId: seriesId?.trim() || null,
+      adminGraceTimeout: null,
+      adminDisconnectedAt: null,
       devices: new Set(),
       votes: new Map(),
       isVotingClosed: false,
       isGameStarted: false,
-      gameState: {
-        questions: [],
-        currentQuestionIndex: 0,
-        questionStartTime: null,
-        timerRemaining: 60,
-        timerInterval: null,
-        answers: new Map(),
-        isShowingResults: false,
-      },
+      gameState: createGameState(),
     };
     channels.set(channelId, channel);
 
@@ -503,19 +3005,28 @@ io.on("connection", (socket) => {
     device.socketId = socket.id;
     device.role = "admin";
     device.isReady = false;
+    device.teamId = null;
 
     socket.join(channelId);
+    saveChannel(channelId);
 
     console.log(
       `[${new Date().toISOString()}] Channel ${channelId} created with admin ${actualDeviceId}`
     );
 
-    const deviceLocale = device.locale || "pt-BR";
-    socket.emit("joined-channel", getChannelStateForLocale(channelId, deviceLocale));
+    socket.emit("joined-channel", buildDeviceChannelState(channelId, actualDeviceId));
+    return { ok: true, channelId };
   });
 
-  socket.on("join-channel", (channelId, deviceId, options = {}) => {
-    const actualDeviceId = deviceId || persistentDeviceId;
+  onEvent("join-channel", (channelId, deviceId, options = {}) => {
+    // O deviceId vem apenas do handshake autenticado
+    if (deviceId && deviceId !== persistentDeviceId) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} sent a different deviceId: ${deviceId}`
+      );
+      return rejection("device_mismatch");
+    }
+    const actualDeviceId = persistentDeviceId;
     console.log(
       `[${new Date().toISOString()}] Device ${actualDeviceId} joining channel: ${channelId}`
     );
@@ -524,47 +3035,131 @@ io.on("connection", (socket) => {
     if (!device) {
       console.warn(`[${new Date().toISOString()}] Unknown device tried to join: ${actualDeviceId}`);
       socket.emit("channel-error", { error: "device_not_found" });
-      return;
+      return rejection("device_not_found");
     }
 
+    if (!channels.has(channelId)) {
+      channelId = normalizeJoinCode(channelId);
+    }
     const channel = channels.get(channelId);
     if (!channel) {
       console.warn(`[${new Date().toISOString()}] Channel ${channelId} does not exist`);
       socket.emit("channel-error", { error: "channel_not_found" });
-      return;
+      return rejection("channel_not_found");
+    }
+
+    const { displayName, password, role } = options || {};
+
+    // Quem já é membro (reconexão) não passa pelas regras de entrada
+    const isNewMember = !channel.devices.has(actualDeviceId);
+    if (isNewMember) {
+      // Depois de muitos PINs errados deste IP, o canal recusa antes mesmo de conferir o PIN
+      const failureKey = `${clientIp}|${channelId}`;
+      const accessError =
+        channel.passwordHash && !passwordFailureLimiter.isAllowed(failureKey, "wrong_password")
+          ? "too_many_attempts"
+          : getJoinError(channel, password);
+      if (accessError === "wrong_password") {
+        passwordFailureLimiter.consume(failureKey, "wrong_password");
+      }
+      if (accessError) {
+        console.warn(
+          `[${new Date().toISOString()}] Device ${actualDeviceId} could not join ${channelId}: ${accessError}`
+        );
+        socket.emit("channel-error", { error: accessError });
+        return rejection(accessError);
+      }
     }
 
-    const { displayName } = options || {};
-    if (displayName && typeof displayName === "string") {
-      device.displayName = displayName.trim().substring(0, 50);
+    if (device.channel && device.channel !== channelId) {
+      leaveCurrentChannel(actualDeviceId);
     }
 
+    applyDisplayName(device, displayName);
+
     channel.votes = channel.votes || new Map();
     channel.isVotingClosed = Boolean(channel.isVotingClosed);
     channel.isGameStarted = Boolean(channel.isGameStarted);
 
+    if (channel.adminId === actualDeviceId && channel.adminDisconnectedAt) {
+      reclaimAdmin(channelId, device, socket);
+      socket.emit("joined-channel", buildDeviceChannelState(channelId, actualDeviceId));
+      return;
+    }
+
     channel.devices.add(actualDeviceId);
     device.channel = channelId;
     device.socketId = socket.id;
-    device.role = channel.adminId === actualDeviceId ? "admin" : "guest";
+    if (channel.adminId === actualDeviceId) {
+      device.role = "admin";
+    } else if (isNewMember) {
+      // O papel é escolhido na entrada: quem já está no canal não troca de papel no meio do jogo
+      device.role = role || "guest";
+    }
     device.isReady = false;
+    if (isNewMember) {
+      device.teamId = null;
+      // Só quem está entrando vai para um time: guests que o admin deixou sem time continuam assim
+      if (device.role === "guest" && channel.teams?.length) {
+        assignToSmallestTeam(channel, actualDeviceId);
+      }
+    }
+
+    socket.join(channelId);
+
+    console.log(
+      `[${new Date().toISOString()}] Channel ${channelId} now has ${channel.devices.size} devices:`,
+      Array.from(channel.devices).map(
+        (id) => `${id} (${connectedDevices.get(id)?.role || "guest"})`
+      )
+    );
+
+    broadcastChannelUpdate(channelId);
+
+    socket.emit("joined-channel", buildDeviceChannelState(channelId, actualDeviceId));
+    return { ok: true, channelId };
+  });
+
+  onEvent("resume-session", (payload = {}) => {
+    const { channelId } = payload || {};
+    const device = connectedDevices.get(persistentDeviceId);
+    const channel = device?.channel ? channels.get(device.channel) : null;
+
+    if (!device || !channel || !channel.devices.has(persistentDeviceId)) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} has no session to resume`
+      );
+      socket.emit("channel-error", { error: "session_not_found" });
+      return rejection("session_not_found");
+    }
+
+    if (channelId && channelId !== device.channel) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to resume ${channelId} but belongs to ${device.channel}`
+      );
+      socket.emit("channel-error", { error: "session_not_found" });
+      return rejection("session_not_found");
+    }
 
-    socket.join(channelId);
+    const activeChannel = device.channel;
+
+    if (channel.adminId === persistentDeviceId && channel.adminDisconnectedAt) {
+      reclaimAdmin(activeChannel, device, socket);
+    } else {
+      device.socketId = socket.id;
+      device.isActive = true;
+      socket.join(activeChannel);
+      broadcastChannelUpdate(activeChannel);
+    }
 
     console.log(
-      `[${new Date().toISOString()}] Channel ${channelId} now has ${channel.devices.size} devices:`,
-      Array.from(channel.devices).map(
-        (id) => `${id} (${connectedDevices.get(id)?.role || "guest"})`
-      )
+      `[${new Date().toISOString()}] Device ${persistentDeviceId} resumed session in channel ${activeChannel} as ${device.role}`
     );
 
-    broadcastChannelUpdate(channelId);
-
-    const deviceLocale = device.locale || "pt-BR";
-    socket.emit("joined-channel", getChannelStateForLocale(channelId, deviceLocale));
+    socket.emit("session-resumed", getSessionSnapshot(activeChannel, persistentDeviceId));
   });
 
-  socket.on("leave-channel", (channelId) => {
+  onEvent("leave-channel", (channelId) => {
     const device = connectedDevices.get(persistentDeviceId);
     const activeChannel = device?.channel || channelId;
 
@@ -572,7 +3167,7 @@ io.on("connection", (socket) => {
       console.warn(
         `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to leave but no active channel`
       );
-      return;
+      return rejection("not_in_channel");
     }
 
     console.log(
@@ -587,20 +3182,20 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("device-status", (status) => {
+  onEvent("device-status", (status) => {
     const device = connectedDevices.get(persistentDeviceId);
     if (device) {
       device.isActive = status.isActive;
 
       if (device.channel) {
-        broadcastChannelUpdate(device.channel);
+        emitDeviceChanged(device.channel, device.id);
       }
     }
   });
 
-  socket.on("update-category-vote", ({ channelId, categories }) => {
+  onEvent("update-category-vote", ({ channelId, categories }) => {
     if (!channelId || !Array.isArray(categories)) {
-      return;
+      return rejection("invalid_payload");
     }
 
     const device = connectedDevices.get(persistentDeviceId);
@@ -608,19 +3203,19 @@ io.on("connection", (socket) => {
       console.warn(
         `[${new Date().toISOString()}] Device ${persistentDeviceId} attempted category vote without channel`
       );
-      return;
+      return rejection("not_in_channel");
     }
 
     const channel = channels.get(channelId);
     if (!channel) {
-      return;
+      return rejection("channel_not_found");
     }
 
     if (channel.isVotingClosed) {
       console.warn(
         `[${new Date().toISOString()}] Vote ignored because channel ${channelId} voting closed`
       );
-      return;
+      return rejection("voting_closed");
     }
 
     const sanitizedSelections = [];
@@ -643,14 +3238,14 @@ io.on("connection", (socket) => {
     broadcastChannelUpdate(channelId);
   });
 
-  socket.on("update-ready-state", ({ channelId, isReady }) => {
+  onEvent("update-ready-state", ({ channelId, isReady }) => {
     console.log(
       `[${new Date().toISOString()}] Device ${persistentDeviceId} updating ready state to ${isReady} in channel ${channelId}`
     );
 
     if (!channelId) {
       console.warn(`[${new Date().toISOString()}] No channelId provided`);
-      return;
+      return rejection("invalid_payload");
     }
 
     const device = connectedDevices.get(persistentDeviceId);
@@ -660,24 +3255,24 @@ io.on("connection", (socket) => {
       console.warn(
         `[${new Date().toISOString()}] Invalid device or channel state for ${persistentDeviceId}`
       );
-      return;
+      return rejection("not_in_channel");
     }
 
     if (channel.isGameStarted) {
       console.warn(`[${new Date().toISOString()}] Game already started, cannot update ready state`);
-      return;
+      return rejection("game_already_started");
     }
 
     device.isReady = Boolean(isReady);
     console.log(
       `[${new Date().toISOString()}] Device ${persistentDeviceId} (${device.displayName}) is now ${device.isReady ? "READY" : "NOT READY"}`
     );
-    broadcastChannelUpdate(channelId);
+    emitDeviceChanged(channelId, persistentDeviceId);
   });
 
-  socket.on("close-category-vote", ({ channelId }) => {
+  onEvent("close-category-vote", ({ channelId }) => {
     if (!channelId) {
-      return;
+      return rejection("invalid_payload");
     }
 
     const requester = connectedDevices.get(persistentDeviceId);
@@ -687,18 +3282,18 @@ io.on("connection", (socket) => {
       console.warn(
         `[${new Date().toISOString()}] Invalid close-category-vote attempt by ${persistentDeviceId}`
       );
-      return;
+      return rejection("not_in_channel");
     }
 
     if (channel.adminId !== persistentDeviceId) {
       console.warn(
         `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to close voting without admin role`
       );
-      return;
+      return rejection("not_admin");
     }
 
     if (channel.isVotingClosed) {
-      return;
+      return rejection("voting_closed");
     }
 
     channel.isVotingClosed = true;
@@ -708,22 +3303,143 @@ io.on("connection", (socket) => {
     broadcastChannelUpdate(channelId);
   });
 
-  socket.on("start-game", ({ channelId, settings }) => {
+  const setLobbyLocked = (channelId, isLocked) => {
+    const requester = connectedDevices.get(persistentDeviceId);
+    const channel = channels.get(channelId);
+
+    if (!requester || !channel || requester.channel !== channelId) {
+      return rejection("not_in_channel");
+    }
+
+    if (channel.adminId !== persistentDeviceId) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to ${
+          isLocked ? "lock" : "unlock"
+        } the lobby without admin role`
+      );
+      return rejection("not_admin");
+    }
+
+    channel.isLocked = isLocked;
+    console.log(
+      `[${new Date().toISOString()}] Channel ${channelId} ${isLocked ? "locked" : "unlocked"} by admin ${persistentDeviceId}`
+    );
+    broadcastChannelUpdate(channelId);
+  };
+
+  /**
+   * Common checks of the team events: the requester is the admin and the game has not started
+   */
+  const getTeamAdminChannel = (channelId) => {
+    const requester = connectedDevices.get(persistentDeviceId);
+    const channel = channels.get(channelId);
+
+    if (!requester || !channel || requester.channel !== channelId) {
+      return { error: rejection("not_in_channel") };
+    }
+    if (channel.adminId !== persistentDeviceId) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to manage teams without admin role`
+      );
+      return { error: rejection("not_admin") };
+    }
+    if (channel.isGameStarted) {
+      return { error: rejection("game_already_started") };
+    }
+    return { channel };
+  };
+
+  onEvent("set-teams", ({ channelId, teams }) => {
+    const { channel, error } = getTeamAdminChannel(channelId);
+    if (error) return error;
+
+    // Recriar os times desfaz todas as atribuições; uma lista vazia desliga o modo times
+    channel.devices.forEach((deviceId) => {
+      const device = connectedDevices.get(deviceId);
+      if (device) {
+        device.teamId = null;
+      }
+    });
+    channel.teams = teams.map((name, index) => ({
+      id: `team-${index + 1}`,
+      name: name.trim().substring(0, 50),
+      captainId: null,
+    }));
+
+    console.log(
+      `[${new Date().toISOString()}] Channel ${channelId} teams: ${
+        channel.teams.map((team) => team.name).join(", ") || "none"
+      }`
+    );
+    broadcastChannelUpdate(channelId);
+  });
+
+  onEvent("assign-team", ({ channelId, targetDeviceId, teamId }) => {
+    const { channel, error } = getTeamAdminChannel(channelId);
+    if (error) return error;
+
+    if (!channel.devices.has(targetDeviceId) || targetDeviceId === channel.adminId) {
+      return rejection("device_not_found");
+    }
+    if (teamId !== null && !channel.teams?.some((team) => team.id === teamId)) {
+      return rejection("team_not_found");
+    }
+
+    assignDeviceToTeam(channel, targetDeviceId, teamId);
+    broadcastChannelUpdate(channelId);
+  });
+
+  onEvent("balance-teams", ({ channelId, reshuffle }) => {
+    const { channel, error } = getTeamAdminChannel(channelId);
+    if (error) return error;
+
+    if (!channel.teams?.length) {
+      return rejection("team_not_found");
+    }
+
+    balanceTeams(channel, { reshuffle: Boolean(reshuffle) });
+    broadcastChannelUpdate(channelId);
+  });
+
+  onEvent("set-team-captain", ({ channelId, teamId, targetDeviceId }) => {
+    const { channel, error } = getTeamAdminChannel(channelId);
+    if (error) return error;
+
+    const team = channel.teams?.find((candidate) => candidate.id === teamId);
+    if (!team) {
+      return rejection("team_not_found");
+    }
+    if (
+      !channel.devices.has(targetDeviceId) ||
+      connectedDevices.get(targetDeviceId)?.teamId !== teamId
+    ) {
+      return rejection("not_in_team");
+    }
+
+    team.captainId = targetDeviceId;
+    broadcastChannelUpdate(channelId);
+  });
+
+  onEvent("lock-lobby", ({ channelId }) => setLobbyLocked(channelId, true));
+
+  onEvent("unlock-lobby", ({ channelId }) => setLobbyLocked(channelId, false));
+
+  onEvent("start-game", ({ channelId, settings }) => {
     if (!channelId) {
-      return;
+      return rejection("invalid_payload");
     }
     const requester = connectedDevices.get(persistentDeviceId);
     const channel = channels.get(channelId);
 
     if (!requester || !channel || requester.channel !== channelId) {
-      return;
+      return rejection("not_in_channel");
     }
 
     if (channel.adminId !== persistentDeviceId) {
       console.warn(
         `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to start game without admin role`
       );
-      return;
+      return rejection("not_admin");
     }
 
     const devices = getChannelDevices(channelId);
@@ -732,14 +3448,14 @@ io.on("connection", (socket) => {
       console.warn(
         `[${new Date().toISOString()}] Admin ${persistentDeviceId} tried to start game without any guests`
       );
-      return;
+      return rejection("no_guests");
     }
     const allGuestsReady = guestDevices.every((device) => device.isReady);
     if (!allGuestsReady) {
       console.warn(
         `[${new Date().toISOString()}] Admin ${persistentDeviceId} tried to start game but not all guests are ready`
       );
-      return;
+      return rejection("guests_not_ready");
     }
 
     // Validate and store game settings
@@ -751,34 +3467,43 @@ io.on("connection", (socket) => {
       channel.gameSettings = null;
     }
 
+    // Quem ficou sem time entra no menor
+    balanceTeams(channel);
+
     channel.isGameStarted = true;
-    io.to(channelId).emit("game-started", { channelId, devices });
-    broadcastChannelUpdate(channelId);
+    channel.gameState.startedAt = Date.now();
+    metrics.gamesStarted.inc();
+    sendChannelUpdateNow(channelId);
+    io.to(channelId).emit("game-started", { channelId, devices: getChannelDevices(channelId) });
+
+    if (usesQuestionBank(channel)) {
+      loadQuestions(channelId, drawQuestionsFromBank(channelId));
+    }
   });
 
   // Update game settings in real-time (before game starts)
-  socket.on("update-game-settings", ({ channelId, settings }) => {
+  onEvent("update-game-settings", ({ channelId, settings }) => {
     const device = connectedDevices.get(persistentDeviceId);
 
     if (!device || device.channel !== channelId) {
       console.warn(`Device ${persistentDeviceId} tried to update settings but is not in channel ${channelId}`);
-      return;
+      return rejection("not_in_channel");
     }
 
     const channel = channels.get(channelId);
     if (!channel) {
       console.warn(`Channel ${channelId} not found`);
-      return;
+      return rejection("channel_not_found");
     }
 
     if (channel.adminId !== persistentDeviceId) {
       console.warn(`Non-admin ${persistentDeviceId} tried to update game settings`);
-      return;
+      return rejection("not_admin");
     }
 
     if (channel.isGameStarted) {
       console.warn(`Cannot update settings after game started in channel ${channelId}`);
-      return;
+      return rejection("game_already_started");
     }
 
     // Validate and update settings
@@ -789,273 +3514,304 @@ io.on("connection", (socket) => {
       broadcastChannelUpdate(channelId);
     } else {
       console.warn(`[${new Date().toISOString()}] Invalid game settings provided:`, settings);
+      return rejection("invalid_settings");
     }
   });
 
-  socket.on("load-questions", (payload) => {
-    const { channelId, questions } = payload;
+  onEvent("load-questions", (payload) => {
+    const { channelId, questions, tiebreakerQuestions } = payload;
     const device = connectedDevices.get(persistentDeviceId);
 
     if (!device || device.channel !== channelId) {
-      return;
+      return rejection("not_in_channel");
     }
 
     const channel = channels.get(channelId);
     if (!channel || channel.adminId !== persistentDeviceId) {
       console.warn(`Non-admin tried to load questions: ${persistentDeviceId}`);
-      return;
+      return rejection("not_admin");
     }
 
     if (!channel.isGameStarted) {
       console.warn(`Game not started yet`);
-      return;
-    }
-
-    // Check if questions is multilingual (object with locale keys) or single locale array
-    const isMultilingual =
-      typeof questions === "object" &&
-      !Array.isArray(questions) &&
-      questions["pt-BR"] !== undefined;
-
-    if (isMultilingual) {
-      // Store multilingual questions
-      channel.gameState.questionsByLocale = questions;
-      // Use pt-BR as default for validation
-      channel.gameState.questions = questions["pt-BR"];
-      console.log(
-        `Multilingual questions loaded for channel ${channelId}: ${questions["pt-BR"].length} questions`
-      );
-    } else {
-      // Legacy: single locale questions
-      channel.gameState.questions = questions;
-      console.log(`Questions loaded for channel ${channelId}: ${questions.length} questions`);
+      return rejection("game_not_started");
     }
 
-    channel.gameState.currentQuestionIndex = 0;
-    channel.gameState.questionStartTime = Date.now();
-    channel.gameState.timerRemaining = channel.gameSettings?.timerDuration || 60;
-    channel.gameState.guestSelections = new Set();
-
-    // Iniciar timer sincronizado
-    startQuestionTimer(channelId);
-
-    // Broadcast estado atualizado
-    broadcastChannelUpdate(channelId);
+    channel.gameState.tiebreakerQuestions = tiebreakerQuestions || null;
+    loadQuestions(channelId, questions);
   });
 
-  socket.on("submit-answer", (payload) => {
-    const { channelId, questionIndex, answerIndex, timeSpent } = payload;
-    const device = connectedDevices.get(persistentDeviceId);
-
-    if (!device || device.channel !== channelId) {
-      return;
-    }
-
-    const channel = channels.get(channelId);
-    if (!channel || !channel.isGameStarted) {
-      return;
-    }
+  onEvent("submit-answer", (payload) => {
+    const { channelId, questionIndex, answerIndex } = payload;
+    // `answer` serve para todos os tipos; `answerIndex` continua aceito nas de escolha única
+    const answer = payload.answer !== undefined ? payload.answer : answerIndex;
 
-    // Verificar se é a pergunta atual
-    if (questionIndex !== channel.gameState.currentQuestionIndex) {
-      console.warn(`Device ${persistentDeviceId} answered wrong question`);
-      return;
+    const check = checkCanAnswer(channelId, persistentDeviceId, questionIndex);
+    if (check.error) {
+      return rejection(check.error);
     }
-
-    // Verificar se já respondeu esta pergunta
+    const { channel, device, isTiebreaker, captainTeam } = check;
     const deviceAnswers = channel.gameState.answers.get(persistentDeviceId) || [];
-    const alreadyAnswered = deviceAnswers.some((a) => a.questionIndex === questionIndex);
-
-    if (alreadyAnswered) {
-      console.warn(
-        `Device ${persistentDeviceId} already answered question ${questionIndex}`
-      );
-      return;
-    }
 
     // Obter pergunta e verificar resposta
     const question = channel.gameState.questions[questionIndex];
-    const isCorrect = answerIndex === question.correctAnswer;
+    const answerError = validateAnswer(question, answer);
+    if (answerError) {
+      return rejection("invalid_answer", answerError);
+    }
+    const grade = gradeAnswer(question, answer, getQuestionVariants(channel, questionIndex));
+    const lifelines = getLifelinesUsedOn(channel, persistentDeviceId, questionIndex).map(
+      (u) => u.lifeline
+    );
 
-    // Salvar resposta
+    // Tempo de resposta medido no servidor (o valor enviado pelo cliente é ignorado)
+    const now = Date.now();
+    const elapsedMs = Math.max(0, now - (channel.gameState.questionStartTime || now));
+
+    // Salvar resposta; as numéricas só são corrigidas na revelação (vence a mais próxima)
     const answerData = {
       questionIndex,
-      answerIndex,
-      timeSpent,
-      isCorrect,
-      points: isCorrect ? question.points : 0,
-      timestamp: Date.now(),
+      answerIndex: getQuestionType(question) === "single-choice" ? answer : undefined,
+      answer,
+      timeSpent: elapsedMs / 1000,
+      isCorrect: grade ? grade.isCorrect : null,
+      credit: grade ? grade.credit : null,
+      isPending: !grade,
+      points: 0,
+      breakdown: null,
+      timestamp: now,
+      ...(isTiebreaker ? { isTiebreaker } : {}),
+      ...(lifelines.length > 0 ? { lifelines } : {}),
     };
+    if (grade && !isTiebreaker) {
+      Object.assign(
+        answerData,
+        scoreAnswer(channel, question, {
+          ...grade,
+          elapsedMs,
+          previousStreak: getPreviousStreak(deviceAnswers, questionIndex),
+          pointsMultiplier: lifelines.includes("doublePoints") ? 2 : 1,
+        })
+      );
+    }
 
-    if (!channel.gameState.answers.has(persistentDeviceId)) {
-      channel.gameState.answers.set(persistentDeviceId, []);
+    if (grade) {
+      metrics.answers.inc({ result: getAnswerResultLabel(answerData) });
     }
-    channel.gameState.answers.get(persistentDeviceId).push(answerData);
 
     console.log(
       `[${new Date().toISOString()}] Device ${device.displayName} (${device.role}) answered Q${questionIndex}: ${
-        isCorrect ? "CORRECT" : "WRONG"
-      } (+${answerData.points} pts)`
+        grade ? getAnswerResultLabel(answerData).toUpperCase() : "PENDING"
+      } (${answerData.points >= 0 ? "+" : ""}${answerData.points} pts in ${answerData.timeSpent}s)`
     );
 
-    // Broadcast updated channel state to show answer count in real-time
-    broadcastChannelUpdate(channelId);
+    recordAnswer(channelId, persistentDeviceId, answerData, captainTeam);
+  });
 
-    // Notificar TODOS os dispositivos do canal sobre o resultado (para sincronizar feedback)
-    io.to(channelId).emit("answer-result", {
-      questionIndex,
-      isCorrect,
-      points: answerData.points,
-      deviceId: persistentDeviceId,
+  onEvent("use-lifeline", (payload) => {
+    const { channelId, questionIndex, lifeline } = payload;
+
+    const check = checkCanAnswer(channelId, persistentDeviceId, questionIndex);
+    if (check.error) {
+      return rejection(check.error);
+    }
+    const { channel, device, isTiebreaker, captainTeam } = check;
+    const question = channel.gameState.questions[questionIndex];
+
+    if (isTiebreaker || !isLifelineApplicable(lifeline, question, channel.gameSettings)) {
+      return rejection("lifeline_not_applicable");
+    }
+    const usedOnQuestion = getLifelinesUsedOn(channel, persistentDeviceId, questionIndex);
+    if (usedOnQuestion.some((u) => u.lifeline === lifeline)) {
+      return rejection("lifeline_already_used");
+    }
+    const usage = channel.gameState.lifelines[persistentDeviceId] || [];
+    if (getRemainingLifelines(channel.gameSettings?.lifelines, usage)[lifeline] <= 0) {
+      return rejection("no_lifeline_left");
+    }
+
+    updateChannel(channelId, ({ gameState }) => {
+      gameState.lifelines[persistentDeviceId] = [
+        ...usage,
+        {
+          lifeline,
+          questionIndex,
+          ...(lifeline === "fiftyFifty" ? { removedOptions: pickRemovedOptions(question) } : {}),
+        },
+      ];
     });
+
+    console.log(
+      `[${new Date().toISOString()}] Device ${device.displayName} used ${lifeline} on Q${questionIndex} in channel ${channelId}`
+    );
+
+    if (lifeline === "skip") {
+      // Pular conta como resposta, sem pontos nem penalidade
+      metrics.answers.inc({ result: "skipped" });
+      const now = Date.now();
+      recordAnswer(
+        channelId,
+        persistentDeviceId,
+        {
+          questionIndex,
+          answerIndex: undefined,
+          answer: null,
+          timeSpent: Math.max(0, now - (channel.gameState.questionStartTime || now)) / 1000,
+          isCorrect: false,
+          credit: 0,
+          isPending: false,
+          points: 0,
+          breakdown: null,
+          timestamp: now,
+          skipped: true,
+          lifelines: [...usedOnQuestion.map((u) => u.lifeline), lifeline],
+        },
+        captainTeam
+      );
+    } else {
+      broadcastChannelUpdate(channelId);
+    }
+
+    return {
+      ok: true,
+      lifelines: buildDeviceLifelines(channel, persistentDeviceId),
+    };
   });
 
-  socket.on("guest-selected-answer", (payload) => {
+  onEvent("guest-selected-answer", (payload) => {
     const { channelId, questionIndex } = payload;
     const device = connectedDevices.get(persistentDeviceId);
 
     if (!device || device.channel !== channelId) {
-      return;
+      return rejection("not_in_channel");
     }
 
     // Only guests should send this event
     if (device.role !== "guest") {
-      return;
+      return rejection("not_guest");
     }
 
     const channel = channels.get(channelId);
     if (!channel || !channel.isGameStarted) {
-      return;
+      return rejection("game_not_started");
     }
 
     // Verificar se é a pergunta atual
-    if (questionIndex !== channel.gameState.currentQuestionIndex) {
-      return;
+    if (questionIndex !== channel.gameState.currentQuestionIndex || channel.gameState.isRevealed) {
+      return rejection("wrong_question");
     }
 
-    // Initialize selections set if it doesn't exist
-    if (!channel.gameState.guestSelections) {
-      channel.gameState.guestSelections = new Set();
+    if (channel.gameState.isPaused) {
+      return rejection("game_paused");
     }
 
     // Add this guest to the set of guests who have selected an answer
     // (Set automatically handles duplicates, so multiple selections don't count)
-    channel.gameState.guestSelections.add(persistentDeviceId);
+    updateChannel(channelId, ({ gameState }) => {
+      gameState.guestSelections = new Set(gameState.guestSelections).add(persistentDeviceId);
+    });
 
     console.log(
       `[${new Date().toISOString()}] Guest ${device.displayName} selected an answer for Q${questionIndex} (${channel.gameState.guestSelections.size} guests selected)`
     );
 
-    // Broadcast updated channel state
-    broadcastChannelUpdate(channelId);
+    emitAnswerCount(channelId);
   });
 
-  socket.on("next-question", (payload) => {
+  onEvent("next-question", (payload) => {
     const { channelId } = payload;
     const device = connectedDevices.get(persistentDeviceId);
 
     if (!device || device.channel !== channelId) {
-      return;
+      return rejection("not_in_channel");
     }
 
     const channel = channels.get(channelId);
     if (!channel || channel.adminId !== persistentDeviceId) {
       console.warn(`Non-admin tried to advance question`);
-      return;
+      return rejection("not_admin");
     }
 
     if (!channel.isGameStarted) {
-      return;
+      return rejection("game_not_started");
     }
 
-    // Limpar timer atual
-    if (channel.gameState.timerInterval) {
-      clearInterval(channel.gameState.timerInterval);
-      channel.gameState.timerInterval = null;
+    if (channel.gameState.isPaused) {
+      return rejection("game_paused");
     }
 
-    // Avançar para próxima pergunta
-    channel.gameState.currentQuestionIndex++;
+    advanceQuestion(channelId);
+  });
 
-    // Reset guest selections for the new question
-    channel.gameState.guestSelections = new Set();
+  onEvent("pause-game", ({ channelId }) => {
+    const device = connectedDevices.get(persistentDeviceId);
+    if (!device || device.channel !== channelId) {
+      return rejection("not_in_channel");
+    }
 
-    // Verificar se acabaram as perguntas
-    if (
-      channel.gameState.currentQuestionIndex >= channel.gameState.questions.length
-    ) {
-      // Jogo terminou - mostrar resultados
-      channel.gameState.isShowingResults = true;
+    const channel = channels.get(channelId);
+    if (!channel || channel.adminId !== persistentDeviceId) {
+      return rejection("not_admin");
+    }
 
-      // Calcular ranking
-      const ranking = calculateRanking(channel);
+    if (channel.gameState.isPaused) {
+      return rejection("already_paused");
+    }
+    if (!canPauseGame(channel)) {
+      return rejection("game_not_running");
+    }
 
-      // Emitir resultados
-      io.to(channelId).emit("game-finished", {
-        ranking,
-        totalQuestions: channel.gameState.questions.length,
-      });
+    pauseGame(channelId, "admin");
+  });
 
-      console.log(`Game finished in channel ${channelId}`);
-    } else {
-      // Próxima pergunta
-      channel.gameState.questionStartTime = Date.now();
-      channel.gameState.timerRemaining = channel.gameSettings?.timerDuration || 60;
+  onEvent("resume-game", ({ channelId }) => {
+    const device = connectedDevices.get(persistentDeviceId);
+    if (!device || device.channel !== channelId) {
+      return rejection("not_in_channel");
+    }
 
-      // Reiniciar timer
-      startQuestionTimer(channelId);
+    const channel = channels.get(channelId);
+    if (!channel || channel.adminId !== persistentDeviceId) {
+      return rejection("not_admin");
+    }
 
-      console.log(
-        `Channel ${channelId} advanced to question ${
-          channel.gameState.currentQuestionIndex + 1
-        }`
-      );
+    if (!channel.gameState.isPaused) {
+      return rejection("not_paused");
     }
 
-    // Broadcast estado atualizado
-    broadcastChannelUpdate(channelId);
+    resumeGame(channelId);
   });
 
-  socket.on("reset-game", ({ channelId }) => {
+  onEvent("reset-game", ({ channelId }) => {
     if (!channelId) {
-      return;
+      return rejection("invalid_payload");
     }
     const requester = connectedDevices.get(persistentDeviceId);
     const channel = channels.get(channelId);
 
     if (!requester || !channel || requester.channel !== channelId) {
-      return;
+      return rejection("not_in_channel");
     }
 
     if (channel.adminId !== persistentDeviceId) {
       console.warn(
         `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to reset game without admin role`
       );
-      return;
+      return rejection("not_admin");
     }
 
     console.log(
       `[${new Date().toISOString()}] Admin ${persistentDeviceId} reset game in channel ${channelId}`
     );
 
-    // Limpar timer se existir
-    if (channel.gameState?.timerInterval) {
-      clearInterval(channel.gameState.timerInterval);
-    }
+    // Limpar timers se existirem
+    clearGameTimers(channel);
 
     // Reset game state but keep categories and ready states
     channel.isGameStarted = false;
 
     // Resetar estado do jogo
-    channel.gameState = {
-      questions: [],
-      currentQuestionIndex: 0,
-      questionStartTime: null,
-      timerRemaining: 60,
-      timerInterval: null,
-      answers: new Map(),
-      isShowingResults: false,
-    };
+    channel.gameState = createGameState();
 
     // Reset all guests ready state to false so they can prepare again
     Array.from(channel.devices || []).forEach((deviceId) => {
@@ -1066,14 +3822,13 @@ io.on("connection", (socket) => {
     });
 
     // Notify all devices in the channel to return to lobby
+    sendChannelUpdateNow(channelId);
     io.to(channelId).emit("game-reset", { channelId });
-
-    broadcastChannelUpdate(channelId);
   });
 
-  socket.on("remove-device", ({ channelId, targetDeviceId }) => {
+  onEvent("remove-device", ({ channelId, targetDeviceId }) => {
     if (!channelId || !targetDeviceId) {
-      return;
+      return rejection("invalid_payload");
     }
 
     const requester = connectedDevices.get(persistentDeviceId);
@@ -1083,18 +3838,18 @@ io.on("connection", (socket) => {
       console.warn(
         `[${new Date().toISOString()}] Invalid remove-device attempt by ${persistentDeviceId}`
       );
-      return;
+      return rejection("not_in_channel");
     }
 
     if (channel.adminId !== persistentDeviceId) {
       console.warn(
         `[${new Date().toISOString()}] Device ${persistentDeviceId} tried to remove without admin role`
       );
-      return;
+      return rejection("not_admin");
     }
 
     if (targetDeviceId === channel.adminId || !channel.devices.has(targetDeviceId)) {
-      return;
+      return rejection("invalid_target");
     }
 
     console.log(
@@ -1103,25 +3858,95 @@ io.on("connection", (socket) => {
     removeDeviceFromChannel(targetDeviceId, "removed_by_admin");
   });
 
-  socket.on("ping", () => {
-    socket.emit("pong", { timestamp: Date.now() });
+  onEvent("ping", (payload) => {
+    const { clientTime, rttMs } = payload || {};
+    const device = connectedDevices.get(persistentDeviceId);
+    if (device && rttMs !== undefined) {
+      // Um RTT negativo faria time_up antes do prazo; acima de um minuto não é medição real
+      device.rttMs = Math.min(Math.max(0, rttMs), 60000);
+    }
+    socket.emit("pong", { timestamp: Date.now(), clientTime: clientTime ?? null });
   });
 
-  socket.on("update-locale", (payload) => {
+  onEvent("update-locale", (payload) => {
     const { locale } = payload;
     const device = connectedDevices.get(persistentDeviceId);
     if (device && locale) {
       device.locale = locale;
       console.log(`[${new Date().toISOString()}] Device ${persistentDeviceId} updated locale to ${locale}`);
 
-      // Broadcast channel update if device is in a channel
+      // Os outros só precisam saber do novo idioma; o próprio dispositivo recebe o estado traduzido
       if (device.channel) {
-        broadcastChannelUpdate(device.channel);
+        emitDeviceChanged(device.channel, persistentDeviceId);
+        socket.emit("channel-update", buildDeviceChannelState(device.channel, persistentDeviceId));
+        sendPresenterViews(device.channel);
       }
     }
   });
 
+  onEvent("claim-nickname", (payload) => {
+    const { nickname, pin } = payload;
+    if (!nickname.trim()) {
+      return rejection("invalid_payload", "nickname: expected a non-empty string");
+    }
+    const device = connectedDevices.get(persistentDeviceId);
+    const result = profiles.claimNickname(persistentDeviceId, nickname, pin, device?.displayName);
+    if (result.error) {
+      console.warn(
+        `[${new Date().toISOString()}] Device ${persistentDeviceId} could not claim nickname "${nickname}": ${result.error}`
+      );
+      return rejection(result.error);
+    }
+
+    console.log(
+      `[${new Date().toISOString()}] Device ${persistentDeviceId} claimed nickname "${result.profile.nickname}"`
+    );
+    return { ok: true, profile: buildProfilePayload(result.profile) };
+  });
+
+  onEvent("get-profile", (payload) => {
+    const profile = payload?.profileId
+      ? profiles.get(payload.profileId)
+      : profiles.getForDevice(persistentDeviceId);
+    if (!profile) {
+      return rejection("profile_not_found");
+    }
+    return { ok: true, profile: buildProfilePayload(profile) };
+  });
+
+  onEvent("get-leaderboard", (payload) => {
+    const { scope, seriesId, limit } = payload;
+    if (scope === "series" && !seriesId) {
+      return rejection("invalid_payload", "seriesId: required for the series scope");
+    }
+    return {
+      ok: true,
+      scope,
+      leaderboard: profiles.leaderboard({
+        scope,
+        seriesId,
+        limit: Math.min(limit || 20, 100),
+      }),
+    };
+  });
+
+  onEvent("request-resync", (payload) => {
+    const { channelId } = payload;
+    const device = connectedDevices.get(persistentDeviceId);
+    if (!device || device.channel !== channelId || !channels.has(channelId)) {
+      return rejection("not_in_channel");
+    }
+
+    const state = buildDeviceChannelState(channelId, persistentDeviceId);
+    console.log(
+      `[${new Date().toISOString()}] Device ${persistentDeviceId} resynced channel ${channelId} at versions ${JSON.stringify(state.versions)}`
+    );
+    socket.emit("channel-update", state);
+    return { ok: true, versions: state.versions };
+  });
+
   socket.on("disconnect", () => {
+    socketRateLimiter.forget(socket.id);
     console.log(
       `[${new Date().toISOString()}] Socket disconnected: ${
         socket.id
@@ -1131,41 +3956,112 @@ io.on("connection", (socket) => {
     socketToDevice.delete(socket.id);
 
     const device = connectedDevices.get(persistentDeviceId);
-    if (device) {
+    // Ignorar se o dispositivo já reconectou com outro socket
+    if (device && device.socketId === socket.id) {
       device.isActive = false;
 
       if (device.channel) {
         const channel = channels.get(device.channel);
         if (channel && channel.adminId === persistentDeviceId) {
-          forceCloseChannel(device.channel, "admin_disconnected");
+          startAdminGrace(device.channel);
         } else {
-          broadcastChannelUpdate(device.channel);
+          emitDeviceChanged(device.channel, persistentDeviceId);
         }
       }
 
-      setTimeout(() => {
-        const stillConnected = connectedDevices.get(persistentDeviceId);
-        if (stillConnected && !stillConnected.isActive && stillConnected.socketId === socket.id) {
-          console.log(
-            `[${new Date().toISOString()}] Removing inactive device: ${persistentDeviceId}`
-          );
-
-          if (stillConnected.channel) {
-            const channel = channels.get(stillConnected.channel);
-            if (channel && channel.adminId === persistentDeviceId) {
-              forceCloseChannel(stillConnected.channel, "admin_inactive_timeout");
-            } else {
-              removeDeviceFromChannel(persistentDeviceId);
-            }
-          }
+      scheduleInactiveDeviceCleanup(persistentDeviceId, socket.id);
+    }
+  });
+});
 
-          connectedDevices.delete(persistentDeviceId);
-        }
-      }, 600000); // 10 minutos (600000ms)
+/**
+ * Rebuilds the channels saved by the persistence layer. Restored devices stay inactive
+ * until they reconnect with the same deviceId and send `resume-session`.
+ */
+const restoreChannels = () => {
+  const snapshots = persistence.loadAll();
+
+  snapshots.forEach((snapshot) => {
+    const { channelId } = snapshot;
+    const channel = hydrateChannel(snapshot);
+    const { gameState } = channel;
+
+    channel.devices.forEach((deviceId) => {
+      const device = connectedDevices.get(deviceId);
+      device.socketId = null;
+      device.isActive = false;
+      scheduleInactiveDeviceCleanup(deviceId, null);
+    });
+    channel.adminDisconnectedAt = null;
+
+    // Retomar o timer a partir do tempo restante salvo (um jogo pausado espera resume-game)
+    const isQuestionRunning =
+      !gameState.isPaused &&
+      channel.isGameStarted &&
+      gameState.questions.length > 0 &&
+      !gameState.isRevealed &&
+      !gameState.isShowingResults;
+    if (isQuestionRunning && channel.gameSettings?.timerDuration !== null) {
+      const timerDuration = channel.gameSettings?.timerDuration || 60;
+      gameState.questionStartTime = Date.now() - (timerDuration - gameState.timerRemaining) * 1000;
+      startQuestionTimer(channelId);
+    } else if (isQuestionRunning) {
+      gameState.questionStartTime = Date.now();
+    } else if (gameState.isRevealed && !gameState.isShowingResults && !gameState.isPaused) {
+      scheduleAutoAdvance(channelId);
     }
+
+    startAdminGrace(channelId);
+  });
+
+  if (snapshots.length > 0) {
+    console.log(`[${new Date().toISOString()}] Restored ${snapshots.length} channel(s) from disk`);
+  }
+};
+
+restoreChannels();
+stateStore.connect({ serializeChannel, hydrateChannel, dropChannel });
+
+metricsRegistry.gauge("quizcredo_connected_sockets", "Sockets connected to this instance", () => [
+  { value: io.engine.clientsCount },
+]);
+metricsRegistry.gauge("quizcredo_channels", "Active channels, by phase", () => {
+  const counts = new Map();
+  channels.forEach((channel) => {
+    const phase = getChannelPhase(channel);
+    counts.set(phase, (counts.get(phase) || 0) + 1);
+  });
+  return Array.from(counts, ([phase, value]) => ({ labels: { phase }, value }));
+});
+// Totais por papel: um label por canal exporia os códigos de entrada num endpoint sem autenticação
+metricsRegistry.gauge("quizcredo_channel_devices", "Devices in channels, by role", () => {
+  const counts = new Map();
+  channels.forEach((channel) => {
+    channel.devices.forEach((deviceId) => {
+      const role = connectedDevices.get(deviceId)?.role || "guest";
+      counts.set(role, (counts.get(role) || 0) + 1);
+    });
   });
+  return Array.from(counts, ([role, value]) => ({ labels: { role }, value }));
 });
 
+app.use(
+  createHttpApi({
+    metricsRegistry,
+    questionBank,
+    matchHistory,
+    profiles,
+    adminToken: process.env.ADMIN_API_TOKEN,
+    channels,
+    connectedDevices,
+    getChannelState,
+    getChannelPhase,
+    buildDevicePayload,
+    forceCloseChannel,
+    removeDeviceFromChannel,
+  })
+);
+
 const PORT = process.env.PORT || 3001;
 const HOST = "0.0.0.0";
 
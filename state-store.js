@@ -0,0 +1,216 @@
+/**
+ * Keeps channels and devices in the memory of this process (default, single instance).
+ * Handlers change a channel with updateChannel (or change the Maps and call saveChannel),
+ * so that other store implementations can share the change.
+ */
+export const createMemoryStateStore = () => {
+  const channels = new Map(); // channelId -> channel
+
+  return {
+    channels,
+    devices: new Map(), // deviceId -> device info
+    socketToDevice: new Map(), // socketId -> deviceId
+    connect: () => {},
+    saveChannel: () => {},
+    deleteChannel: () => {},
+
+    /**
+     * Runs `mutate(channel)` and shares the change. Returns what `mutate` returned
+     * (undefined when the channel does not exist).
+     */
+    updateChannel(channelId, mutate) {
+      const channel = channels.get(channelId);
+      if (!channel) return undefined;
+      const result = mutate(channel);
+      this.saveChannel(channelId);
+      return result;
+    },
+  };
+};
+
+// Parts of a snapshot that are shared per key, so that instances changing different keys
+// (e.g. devices joining or answering on different instances) don't overwrite each other
+const KEYED_FIELDS = {
+  devices: "list", // [{ id, ... }]
+  votes: "entries", // [[deviceId, categories]]
+  "gameState.answers": "entries", // [[deviceId, answers]]
+  "gameState.lifelines": "object", // { deviceId: usage }
+  "gameState.guestSelections": "set", // [deviceId]
+  stateVersions: "object", // { instanceId: version }
+};
+
+const toKeyedEntries = (kind, value) => {
+  switch (kind) {
+    case "list":
+      return value.map((item) => [item.id, item]);
+    case "object":
+      return Object.entries(value);
+    case "set":
+      return value.map((key) => [key, true]);
+    default:
+      return value;
+  }
+};
+
+const fromKeyedEntries = (kind, entries) => {
+  switch (kind) {
+    case "list":
+      return entries.map(([, item]) => item);
+    case "object":
+      return Object.fromEntries(entries);
+    case "set":
+      return entries.map(([key]) => key);
+    default:
+      return entries;
+  }
+};
+
+/**
+ * Turns a channel snapshot into flat fields: top-level keys, `gameState.<key>` and
+ * `<keyed field>.<key>` for KEYED_FIELDS
+ */
+const flattenSnapshot = (snapshot) => {
+  const fields = {};
+  const add = (path, value) => {
+    if (KEYED_FIELDS[path]) {
+      toKeyedEntries(KEYED_FIELDS[path], value).forEach(
+        ([key, item]) => (fields[`${path}.${key}`] = item)
+      );
+    } else {
+      fields[path] = value;
+    }
+  };
+
+  Object.entries(snapshot).forEach(([key, value]) => {
+    if (key === "gameState") {
+      Object.entries(value).forEach(([gameKey, gameValue]) => add(`gameState.${gameKey}`, gameValue));
+    } else if (key !== "savedAt") {
+      add(key, value);
+    }
+  });
+  return fields;
+};
+
+/**
+ * Inverse of flattenSnapshot. Keyed fields set to null were removed.
+ */
+const unflattenSnapshot = (fields) => {
+  const snapshot = { gameState: {} };
+  const keyedPaths = Object.keys(KEYED_FIELDS);
+  const keyed = new Map(keyedPaths.map((path) => [path, []])); // path -> [[key, value]]
+  const assign = (path, value) => {
+    if (path.startsWith("gameState.")) {
+      snapshot.gameState[path.slice("gameState.".length)] = value;
+    } else {
+      snapshot[path] = value;
+    }
+  };
+
+  Object.entries(fields).forEach(([path, value]) => {
+    const keyedPath = keyedPaths.find((candidate) => path.startsWith(`${candidate}.`));
+    if (!keyedPath) {
+      assign(path, value);
+    } else if (value !== null) {
+      keyed.get(keyedPath).push([path.slice(keyedPath.length + 1), value]);
+    }
+  });
+  keyed.forEach((entries, path) => assign(path, fromKeyedEntries(KEYED_FIELDS[path], entries)));
+  return snapshot;
+};
+
+/**
+ * Keeps a local replica of the state and shares channel changes with the other server
+ * instances through the broker. Only the fields that changed since the last message are
+ * published; the broker merges them into the retained value of the channel, so an
+ * instance that starts later receives the whole current state on connect.
+ */
+export const createReplicatedStateStore = (broker, instanceId) => {
+  const store = createMemoryStateStore();
+  const topic = "quiz-credo:channels";
+  const shared = new Map(); // channelId -> { field: JSON } last published or received
+  let codec = null;
+
+  /**
+   * Fields of the channel that differ from what the other instances know (null = removed)
+   */
+  const diffChannel = (channelId) => {
+    const fields = flattenSnapshot(codec.serializeChannel(channelId));
+    const known = shared.get(channelId) || {};
+    const changed = {};
+
+    Object.entries(fields).forEach(([path, value]) => {
+      const json = JSON.stringify(value);
+      if (known[path] !== json) {
+        changed[path] = value;
+        known[path] = json;
+      }
+    });
+    Object.keys(known).forEach((path) => {
+      if (!(path in fields)) {
+        changed[path] = null;
+        delete known[path];
+      }
+    });
+    shared.set(channelId, known);
+    return changed;
+  };
+
+  /**
+   * Applies fields received from another instance on top of the local state of the channel
+   */
+  const applyFields = (channelId, fields) => {
+    const known = shared.get(channelId) || {};
+    Object.entries(fields).forEach(([path, value]) => {
+      if (value === null) {
+        delete known[path];
+      } else {
+        known[path] = JSON.stringify(value);
+      }
+    });
+    shared.set(channelId, known);
+
+    const local = store.channels.has(channelId)
+      ? flattenSnapshot(codec.serializeChannel(channelId))
+      : {};
+    const merged = { ...local, ...fields };
+    if (!("channelId" in merged)) {
+      console.warn(`Ignoring partial state of unknown channel ${channelId}`);
+      return;
+    }
+    codec.hydrateChannel(unflattenSnapshot(merged));
+  };
+
+  return {
+    ...store,
+
+    /**
+     * Starts applying changes from the other instances. `codec` converts channels to and
+     * from plain snapshots ({ serializeChannel, hydrateChannel, dropChannel }).
+     */
+    connect: (channelCodec) => {
+      codec = channelCodec;
+      broker.subscribe(topic, (message) => {
+        if (message.origin === instanceId) return;
+
+        if (message.deleted) {
+          shared.delete(message.channelId);
+          codec.dropChannel(message.channelId);
+        } else {
+          applyFields(message.channelId, message.fields);
+        }
+      });
+    },
+
+    saveChannel: (channelId) => {
+      if (!codec || !store.channels.has(channelId)) return;
+      const fields = diffChannel(channelId);
+      if (Object.keys(fields).length === 0) return;
+      broker.publish(topic, { origin: instanceId, channelId, fields }, channelId);
+    },
+
+    deleteChannel: (channelId) => {
+      shared.delete(channelId);
+      broker.publish(topic, { origin: instanceId, channelId, deleted: true }, channelId);
+    },
+  };
+};